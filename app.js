@@ -10,12 +10,34 @@ var indexRouter = require("./routes/index");
 var usersRouter = require("./routes/users");
 const partnerRouter = require("./routes/partner");
 const actionRouter = require("./routes/action");
+const messagesRouter = require("./routes/messages");
+const adminRouter = require("./routes/admin");
 
 var app = express();
+
+// Behind a proxy (Heroku, load balancer...) TRUST_PROXY is the number of proxies in front of the app,
+// so req.ip is the address of the client and not of the proxy. The rate limits are counted by IP
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY, 10));
+}
 var cors = require("cors");
 var fileUpload = require("express-fileupload");
+const { maxPictureSize, maxPictures } = require("./modules/validatePictures");
 
-app.use(fileUpload());
+// A file over the size limit aborts the upload. Past the number of files the next ones are dropped:
+// one more than the maximum is kept so the routes still see the request has too many pictures
+app.use(
+  fileUpload({
+    limits: { fileSize: maxPictureSize, files: maxPictures + 1 },
+    abortOnLimit: true,
+    responseOnLimit: JSON.stringify({
+      result: false,
+      message: `A picture can't be larger than ${
+        maxPictureSize / (1024 * 1024)
+      } MB`,
+    }),
+  })
+);
 app.use(cors());
 app.use(logger("dev"));
 app.use(express.json());
@@ -27,5 +49,7 @@ app.use("/", indexRouter);
 app.use("/users", usersRouter);
 app.use("/partner", partnerRouter);
 app.use("/action", actionRouter);
+app.use("/messages", messagesRouter);
+app.use("/admin", adminRouter);
 
 module.exports = app;
@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// Every action done through the admin router is written here
+const auditLogSchema = mongoose.Schema({
+  admin: { type: mongoose.Schema.Types.ObjectId, ref: "users", required: true },
+  action: { type: String, required: true },
+  targetUser: { type: mongoose.Schema.Types.ObjectId, ref: "users" },
+  report: { type: mongoose.Schema.Types.ObjectId, ref: "reports" },
+  match: { type: mongoose.Schema.Types.ObjectId, ref: "matches" },
+  details: mongoose.Schema.Types.Mixed,
+  createdAt: { type: Date, default: Date.now },
+});
+
+auditLogSchema.index({ createdAt: -1 });
+
+const AuditLog = mongoose.model("auditlogs", auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// A like given by a linked group in joint mode: it only counts once every member approved it
+const jointLikeSchema = mongoose.Schema({
+  // Sorted ids of the members, identifies the group
+  groupKey: { type: String, required: true },
+  members: [{ type: mongoose.Schema.Types.ObjectId, ref: "users" }],
+  likedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    required: true,
+  },
+  initiator: { type: mongoose.Schema.Types.ObjectId, ref: "users" },
+  approvals: [{ type: mongoose.Schema.Types.ObjectId, ref: "users" }],
+  status: {
+    type: String,
+    enum: ["pending", "approved", "declined"],
+    default: "pending",
+  },
+  createdAt: { type: Date, default: Date.now },
+});
+
+jointLikeSchema.index({ groupKey: 1, likedUser: 1, status: 1 });
+jointLikeSchema.index({ members: 1, status: 1 });
+
+const JointLike = mongoose.model("jointlikes", jointLikeSchema);
+
+module.exports = JointLike;
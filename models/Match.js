@@ -1,17 +1,41 @@
 const mongoose = require("mongoose");
 
-const messageSchema = mongoose.Schema({
-  sender: String,
-  content: String,
-  date: Date,
+// Last time each participant read the conversation, used for "seen" and unread counts
+const readMarkerSchema = mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "users" },
+  lastReadAt: Date,
+  lastReadMessage: { type: mongoose.Schema.Types.ObjectId, ref: "messages" },
 });
 
 const matchSchema = mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: "users" },
   userLiked: { type: mongoose.Schema.Types.ObjectId, ref: "users" },
-  messages: [messageSchema],
+  // The ids of user and userLiked sorted and joined, the same whoever liked first.
+  // Its unique index guarantees a single match per pair, see modules/matches.js
+  pairKey: String,
+  // Everyone in the conversation, more than two users when a linked group is involved
+  participants: [{ type: mongoose.Schema.Types.ObjectId, ref: "users" }],
+  readMarkers: [readMarkerSchema],
+  createdAt: { type: Date, default: Date.now },
+  // A match is closed when one of the two users unmatches or blocks the other
+  status: { type: String, enum: ["active", "closed"], default: "active" },
+  closedAt: Date,
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: "users" },
+  // Date of the last message, used to sort the conversation list by activity
+  lastMessageAt: Date,
 });
 
+// One index per branch of the member filter of modules/matches.js.
+// The conversation list is sorted after the filter, on a date computed from lastMessageAt
+matchSchema.index({ user: 1 });
+matchSchema.index({ userLiked: 1 });
+matchSchema.index({ participants: 1 });
+// Partial so the matches created before the pair keys can be migrated, see scripts/migrateMatchPairs.js
+matchSchema.index(
+  { pairKey: 1 },
+  { unique: true, partialFilterExpression: { pairKey: { $exists: true } } }
+);
+
 const Match = mongoose.model("matches", matchSchema);
 
 module.exports = Match;
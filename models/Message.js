@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+const messageSchema = mongoose.Schema({
+  match: { type: mongoose.Schema.Types.ObjectId, ref: "matches", required: true },
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: "users", required: true },
+  content: { type: String, required: true },
+  date: { type: Date, default: Date.now },
+  // Id given by the front, the same message sent twice is only stored once, see modules/messages.js
+  clientMessageId: String,
+});
+
+// Conversations are always read by match, from the most recent message
+messageSchema.index({ match: 1, date: -1, _id: -1 });
+messageSchema.index(
+  { match: 1, sender: 1, clientMessageId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { clientMessageId: { $exists: true } },
+  }
+);
+
+const Message = mongoose.model("messages", messageSchema);
+
+module.exports = Message;
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// A partner link only exists once the invited user accepts it
+const partnerInviteSchema = mongoose.Schema({
+  from: { type: mongoose.Schema.Types.ObjectId, ref: "users", required: true },
+  to: { type: mongoose.Schema.Types.ObjectId, ref: "users", required: true },
+  status: {
+    type: String,
+    enum: ["pending", "accepted", "declined", "cancelled"],
+    default: "pending",
+  },
+  createdAt: { type: Date, default: Date.now },
+  respondedAt: Date,
+});
+
+partnerInviteSchema.index({ from: 1, status: 1 });
+partnerInviteSchema.index({ to: 1, status: 1 });
+
+const PartnerInvite = mongoose.model("partnerinvites", partnerInviteSchema);
+
+module.exports = PartnerInvite;
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+const reportReasons = [
+  "spam",
+  "harassment",
+  "fake_profile",
+  "inappropriate_content",
+  "underage",
+  "other",
+];
+
+const reportSchema = mongoose.Schema({
+  reporter: { type: mongoose.Schema.Types.ObjectId, ref: "users", required: true },
+  reportedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    required: true,
+  },
+  reason: { type: String, enum: reportReasons, required: true },
+  details: String,
+  // Optional evidence pointing to the conversation or the message reported
+  match: { type: mongoose.Schema.Types.ObjectId, ref: "matches" },
+  message: { type: mongoose.Schema.Types.ObjectId, ref: "messages" },
+  status: {
+    type: String,
+    enum: ["open", "reviewing", "resolved", "dismissed"],
+    default: "open",
+  },
+  handledBy: { type: mongoose.Schema.Types.ObjectId, ref: "users" },
+  handledAt: Date,
+  moderatorNote: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+reportSchema.index({ status: 1, createdAt: -1 });
+
+const Report = mongoose.model("reports", reportSchema);
+
+module.exports = Report;
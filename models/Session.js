@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// One session per signed in device. Tokens are only stored hashed
+const sessionSchema = mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "users", required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  refreshTokenHash: { type: String, required: true, unique: true },
+  deviceId: { type: String, required: true },
+  deviceName: String,
+  expiresAt: { type: Date, required: true },
+  refreshExpiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+});
+
+sessionSchema.index({ user: 1, deviceId: 1 }, { unique: true });
+// MongoDB removes the sessions that can't be refreshed anymore
+sessionSchema.index({ refreshExpiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("sessions", sessionSchema);
+
+module.exports = Session;
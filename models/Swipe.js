@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Last like or dislike given by a user to another one, with its date.
+// The likes and dislikes themselves are in the myLikes/myDislikes lists of the users,
+// the swipes date them for the history, the rewind and the expiry of the dislikes
+const swipeSchema = mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: "users", required: true },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "users",
+    required: true,
+  },
+  type: { type: String, enum: ["like", "dislike"], required: true },
+  // Set on a dislike that removed the pending like of the target, see modules/swipes.js
+  removedIncomingLike: { type: Boolean, default: false },
+  createdAt: { type: Date, default: Date.now },
+});
+
+// A new swipe on the same user replaces the previous one
+swipeSchema.index({ user: 1, target: 1 }, { unique: true });
+swipeSchema.index({ user: 1, createdAt: -1 });
+
+const Swipe = mongoose.model("swipes", swipeSchema);
+
+module.exports = Swipe;
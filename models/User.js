@@ -1,9 +1,38 @@
 const mongoose = require("mongoose");
 
-const locationSchema = mongoose.Schema({
-  longitude: Number,
-  latitude: Number,
-  city: String,
+const pointSchema = mongoose.Schema(
+  {
+    type: { type: String, enum: ["Point"], default: "Point" },
+    // [longitude, latitude], as GeoJSON expects
+    coordinates: { type: [Number], default: undefined },
+  },
+  { _id: false }
+);
+
+const locationSchema = mongoose.Schema(
+  {
+    point: pointSchema,
+    city: String,
+  },
+  { id: false, toJSON: { virtuals: true }, toObject: { virtuals: true } }
+);
+
+// The front still reads latitude and longitude on the location
+locationSchema.virtual("longitude").get(function () {
+  return this.point?.coordinates?.[0];
+});
+locationSchema.virtual("latitude").get(function () {
+  return this.point?.coordinates?.[1];
+});
+
+// A picture is stored in two variants, both re-encoded without their metadata
+const pictureSchema = mongoose.Schema({
+  // Display variant, shown on the profile and the cards
+  url: { type: String, required: true },
+  thumbnailUrl: String,
+  width: Number,
+  height: Number,
+  createdAt: { type: Date, default: Date.now },
 });
 
 const userSearchSchema = mongoose.Schema({
@@ -28,18 +57,21 @@ const userSchema = mongoose.Schema({
     type: String,
     required: true,
   },
+  // Token of the accounts created before the sessions. It is turned into a hashed session
+  // and removed on its first use, see modules/auth.js and scripts/migrateUserTokens.js
   token: {
     type: String,
-    required: true,
     unique: true,
+    sparse: true,
   },
   gender: String,
   sexuality: String,
   relationshipStatus: String,
   birthdate: Date,
   location: locationSchema,
-  pictures: [String],
+  pictures: [pictureSchema],
   isOnline: Boolean,
+  lastSeen: Date,
   occupation: String,
   description: String,
   imaginaryName: { type: String, unique: true, required: true },
@@ -48,8 +80,42 @@ const userSchema = mongoose.Schema({
   myLikes: [{ type: mongoose.Schema.Types.ObjectId, ref: "users" }],
   myDislikes: [{ type: mongoose.Schema.Types.ObjectId, ref: "users" }],
   myRelationships: [{ type: mongoose.Schema.Types.ObjectId, ref: "users" }],
+  blockedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: "users" }],
+  // When enabled, every partner of the linked group must approve a like before it counts
+  jointLiking: { type: Boolean, default: false },
+  // Back-office access and moderation state of the account
+  role: {
+    type: String,
+    enum: ["user", "moderator", "admin"],
+    default: "user",
+  },
+  accountStatus: {
+    type: String,
+    enum: ["active", "suspended", "banned"],
+    default: "active",
+  },
+  suspendedUntil: Date,
+  moderationReason: String,
+  // Only accounts created since the email verification exist have this field
+  emailVerified: Boolean,
+  emailVerification: {
+    codeHash: String,
+    expiresAt: Date,
+    sentAt: Date,
+    attempts: Number,
+  },
+  // Set while a deletion asked by the user waits for the end of its grace period
+  deletionRequestedAt: Date,
+  deletionScheduledFor: Date,
+  // Pending "forgot password" request, the token is only stored hashed
+  passwordReset: {
+    tokenHash: String,
+    expiresAt: Date,
+  },
 });
 
+userSchema.index({ "location.point": "2dsphere" });
+
 const User = mongoose.model("users", userSchema);
 
 module.exports = User;
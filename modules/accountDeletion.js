@@ -0,0 +1,158 @@
+const User = require("../models/User");
+const Match = require("../models/Match");
+const Message = require("../models/Message");
+const Session = require("../models/Session");
+const PartnerInvite = require("../models/PartnerInvite");
+const JointLike = require("../models/JointLike");
+const Swipe = require("../models/Swipe");
+const {
+  memberFilter,
+  getMatchMemberIds,
+  getPairKey,
+  closeMatch,
+} = require("./matches");
+const { deleteUserPicture } = require("./storage");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 0 deletes the account as soon as it is asked
+const DELETION_GRACE_DAYS = Math.max(
+  parseFloat(process.env.DELETION_GRACE_DAYS ?? 14) || 0,
+  0
+);
+
+// Removes a user from a group match kept by their partners, with the messages they sent in it.
+// When the user was the one who liked or was liked, a remaining partner takes their place
+// so the match stays found by its members. Returns false when the partner already has
+// their own match with the other side: the group match can't take its pair key
+const leaveGroupMatch = async (match, userId, remainingPartnerId) => {
+  const newUser = match.user?.equals(userId) ? remainingPartnerId : match.user;
+  const newUserLiked = match.userLiked?.equals(userId)
+    ? remainingPartnerId
+    : match.userLiked;
+  try {
+    await Match.updateOne(
+      { _id: match._id },
+      {
+        $pull: { participants: userId, readMarkers: { user: userId } },
+        $set: {
+          user: newUser,
+          userLiked: newUserLiked,
+          pairKey: getPairKey(newUser, newUserLiked),
+        },
+      }
+    );
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return false;
+  }
+  await Message.deleteMany({ match: match._id, sender: userId });
+  return true;
+};
+
+// Removes a user and everything pointing to them.
+// Reports and audit logs are kept, moderators still need them once the account is gone
+const deleteUserData = async ({ io, user }) => {
+  const userId = user._id;
+
+  const matches = await Match.find(memberFilter(userId));
+  const matchIds = [];
+  for (const match of matches) {
+    // In a group match the partners of the user still in the conversation keep it,
+    // only the user leaves it
+    const remainingPartnerId = (user.myRelationships || []).find((partnerId) =>
+      getMatchMemberIds(match).some((memberId) => memberId.equals(partnerId))
+    );
+    if (
+      remainingPartnerId &&
+      (await leaveGroupMatch(match, userId, remainingPartnerId))
+    ) {
+      continue;
+    }
+
+    // The other members are told the conversation is over before it disappears
+    await closeMatch({ io, match, closedBy: userId });
+    matchIds.push(match._id);
+  }
+  await Message.deleteMany({ match: { $in: matchIds } });
+  await Match.deleteMany({ _id: { $in: matchIds } });
+
+  await User.updateMany(
+    {},
+    {
+      $pull: {
+        whoLikesMe: userId,
+        myLikes: userId,
+        myDislikes: userId,
+        myRelationships: userId,
+        blockedUsers: userId,
+      },
+    }
+  );
+
+  await PartnerInvite.deleteMany({ $or: [{ from: userId }, { to: userId }] });
+  await JointLike.deleteMany({
+    $or: [{ members: userId }, { likedUser: userId }],
+  });
+  await Swipe.deleteMany({ $or: [{ user: userId }, { target: userId }] });
+  await Session.deleteMany({ user: userId });
+
+  // The pictures that the storage fails to delete are only logged, the account is deleted anyway
+  for (const picture of user.pictures || []) {
+    const destroyed = await deleteUserPicture(picture);
+    if (!destroyed) {
+      console.log(`Picture of deleted user ${userId} kept: ${picture.url}`);
+    }
+  }
+
+  await User.deleteOne({ _id: userId });
+};
+
+// Schedules the deletion of the account, or deletes it now when there is no grace period.
+// Returns the date the account will be deleted, or null if it was deleted
+const requestAccountDeletion = async ({ io, user }) => {
+  if (DELETION_GRACE_DAYS === 0) {
+    await deleteUserData({ io, user });
+    return null;
+  }
+
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(
+    Date.now() + DELETION_GRACE_DAYS * DAY_MS
+  );
+  await user.save();
+  return user.deletionScheduledFor;
+};
+
+// Signing in again during the grace period keeps the account
+const cancelAccountDeletion = async (user) => {
+  if (!user.deletionScheduledFor) {
+    return false;
+  }
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+  return true;
+};
+
+// Deletes the accounts whose grace period is over, returns how many were deleted
+const purgeScheduledDeletions = async ({ io } = {}) => {
+  const cursor = User.find({
+    deletionScheduledFor: { $lte: new Date() },
+  }).cursor();
+
+  let deleted = 0;
+  for await (const user of cursor) {
+    await deleteUserData({ io, user });
+    deleted++;
+  }
+  return deleted;
+};
+
+module.exports = {
+  deleteUserData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  purgeScheduledDeletions,
+};
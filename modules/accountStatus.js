@@ -0,0 +1,17 @@
+// Returns why a user can't use their account, or null if the account is usable
+const getAccountRestriction = (user) => {
+  if (user.accountStatus === "banned") {
+    return "This account has been banned";
+  }
+  if (
+    user.accountStatus === "suspended" &&
+    (!user.suspendedUntil || user.suspendedUntil > new Date())
+  ) {
+    return user.suspendedUntil
+      ? `This account is suspended until ${user.suspendedUntil.toISOString()}`
+      : "This account is suspended";
+  }
+  return null;
+};
+
+module.exports = { getAccountRestriction };
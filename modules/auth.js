@@ -0,0 +1,227 @@
+const crypto = require("crypto");
+const uid2 = require("uid2");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const { getAccountRestriction } = require("./accountStatus");
+
+const HOUR_MS = 60 * 60 * 1000;
+const ACCESS_TOKEN_TTL_MS =
+  (parseFloat(process.env.AUTH_ACCESS_TOKEN_TTL_HOURS) || 24) * HOUR_MS;
+const REFRESH_TOKEN_TTL_MS =
+  (parseFloat(process.env.AUTH_REFRESH_TOKEN_TTL_DAYS) || 60) * 24 * HOUR_MS;
+const PASSWORD_RESET_TTL_MS =
+  (parseFloat(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+// We don't write lastUsedAt on every request
+const LAST_USED_UPDATE_MS = 5 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// The token is read from the "Authorization: Bearer" header.
+// During the transition we still accept the userToken sent in the body.
+// Never in the query: the urls are written in the logs
+const getTokenFromRequest = (req) => {
+  const authorization = req.headers.authorization;
+  if (authorization?.startsWith("Bearer ")) {
+    return authorization.slice("Bearer ".length).trim();
+  }
+
+  let token = req.body?.userToken;
+  // The pictures upload form sends the token JSON stringified
+  if (typeof token === "string" && token.startsWith('"')) {
+    try {
+      token = JSON.parse(token);
+    } catch (error) {
+      return null;
+    }
+  }
+  return typeof token === "string" ? token : null;
+};
+
+// Creates the tokens of a session and returns them in clear, only once
+const issueTokens = (session) => {
+  const userToken = uid2(32);
+  const refreshToken = uid2(48);
+  const now = Date.now();
+
+  session.tokenHash = hashToken(userToken);
+  session.refreshTokenHash = hashToken(refreshToken);
+  session.expiresAt = new Date(now + ACCESS_TOKEN_TTL_MS);
+  session.refreshExpiresAt = new Date(now + REFRESH_TOKEN_TTL_MS);
+  session.lastUsedAt = new Date(now);
+
+  return {
+    userToken,
+    refreshToken,
+    expiresAt: session.expiresAt,
+    deviceId: session.deviceId,
+  };
+};
+
+// Opens a session for a device, replacing the previous session of the same device
+const createSession = async (user, { deviceId, deviceName } = {}) => {
+  const sessionDeviceId =
+    typeof deviceId === "string" && deviceId ? deviceId : uid2(16);
+
+  await Session.deleteOne({ user: user._id, deviceId: sessionDeviceId });
+
+  const session = new Session({
+    user: user._id,
+    deviceId: sessionDeviceId,
+    deviceName,
+  });
+  const tokens = issueTokens(session);
+  await session.save();
+
+  return tokens;
+};
+
+// Exchanges a refresh token for new tokens, the old ones stop working
+const refreshSession = async (refreshToken) => {
+  if (typeof refreshToken !== "string" || !refreshToken) {
+    return null;
+  }
+  const session = await Session.findOne({
+    refreshTokenHash: hashToken(refreshToken),
+    refreshExpiresAt: { $gt: new Date() },
+  });
+  if (!session) {
+    return null;
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || getAccountRestriction(user)) {
+    await session.deleteOne();
+    return null;
+  }
+
+  const tokens = issueTokens(session);
+  await session.save();
+  return tokens;
+};
+
+// Turns the plain token of an account created before the sessions into a hashed session,
+// so the devices still using it stay signed in, and removes it from the user.
+// Returns the session, or null if no user has this token
+const convertLegacyToken = async (token) => {
+  if (typeof token !== "string") {
+    return null;
+  }
+  const user = await User.findOneAndUpdate(
+    { token },
+    { $unset: { token: "" } }
+  );
+  if (!user) {
+    return null;
+  }
+
+  // The device never received a refresh token, it signs in again once the token expires
+  const now = Date.now();
+  return Session.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    refreshTokenHash: hashToken(uid2(48)),
+    deviceId: `legacy-${uid2(16)}`,
+    deviceName: "Legacy token",
+    expiresAt: new Date(now + ACCESS_TOKEN_TTL_MS),
+    refreshExpiresAt: new Date(now + ACCESS_TOKEN_TTL_MS),
+  });
+};
+
+// Returns the user and the session of a valid access token.
+// error is set when the token doesn't give access to the account
+const authenticateToken = async (token) => {
+  if (!token) {
+    return { error: "Missing user token" };
+  }
+
+  const session =
+    (await Session.findOne({
+      tokenHash: hashToken(token),
+      expiresAt: { $gt: new Date() },
+    })) || (await convertLegacyToken(token));
+  if (!session) {
+    return { error: "Invalid or expired token" };
+  }
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    return { error: "User not found" };
+  }
+
+  const restriction = getAccountRestriction(user);
+  if (restriction) {
+    return { error: restriction, status: 403 };
+  }
+
+  if (Date.now() - session.lastUsedAt > LAST_USED_UPDATE_MS) {
+    await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() });
+  }
+
+  return { user, session };
+};
+
+// Express middleware: sets req.user and req.session, or responds with 401
+const authenticate = async (req, res, next) => {
+  try {
+    const { user, session, error, status } = await authenticateToken(
+      getTokenFromRequest(req)
+    );
+    if (error) {
+      return res.status(status || 401).json({ result: false, message: error });
+    }
+
+    req.user = user;
+    req.session = session;
+    next();
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+};
+
+// Closes the sessions of a user, except the one given if any
+const revokeSessions = (userId, { exceptSessionId } = {}) => {
+  const filter = { user: userId };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return Session.deleteMany(filter);
+};
+
+// Stores a new password reset token on the user, replacing the previous one, and returns it in clear
+const createPasswordResetToken = async (user) => {
+  const resetToken = uid2(32);
+  user.passwordReset = {
+    tokenHash: hashToken(resetToken),
+    expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MS),
+  };
+  await user.save();
+  return { resetToken, expiresAt: user.passwordReset.expiresAt };
+};
+
+// Returns the user of a valid reset token and removes the token so it can only be used once
+const consumePasswordResetToken = (resetToken) => {
+  if (typeof resetToken !== "string" || !resetToken) {
+    return null;
+  }
+  return User.findOneAndUpdate(
+    {
+      "passwordReset.tokenHash": hashToken(resetToken),
+      "passwordReset.expiresAt": { $gt: new Date() },
+    },
+    { $unset: { passwordReset: "" } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  hashToken,
+  getTokenFromRequest,
+  createSession,
+  refreshSession,
+  authenticateToken,
+  authenticate,
+  revokeSessions,
+  createPasswordResetToken,
+  consumePasswordResetToken,
+};
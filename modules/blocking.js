@@ -0,0 +1,43 @@
+const User = require("../models/User");
+const Match = require("../models/Match");
+const { memberFilter, findMatchBetween, closeMatch } = require("./matches");
+
+// Tells if one of the two users has blocked the other
+const isBlockedBetween = (user, otherUser) => {
+  return (
+    (user.blockedUsers || []).some((id) => id.equals(otherUser._id)) ||
+    (otherUser.blockedUsers || []).some((id) => id.equals(user._id))
+  );
+};
+
+// Adds a user to the block list, removes the pending likes in both directions
+// and closes the conversation they may have
+const blockUser = async ({ io, user, blockedUser }) => {
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $addToSet: { blockedUsers: blockedUser._id },
+      $pull: { myLikes: blockedUser._id, whoLikesMe: blockedUser._id },
+    }
+  );
+  await User.updateOne(
+    { _id: blockedUser._id },
+    { $pull: { myLikes: user._id, whoLikesMe: user._id } }
+  );
+
+  // The group conversations they share are closed too, unless they are partners
+  // and the blocked user is on the same side of them as our user
+  const isPartner = (user.myRelationships || []).some((id) =>
+    id.equals(blockedUser._id)
+  );
+  const matches = isPartner
+    ? [await findMatchBetween(user._id, blockedUser._id)].filter(Boolean)
+    : await Match.find({
+        $and: [memberFilter(user._id), memberFilter(blockedUser._id)],
+      });
+  for (const match of matches) {
+    await closeMatch({ io, match, closedBy: user._id });
+  }
+};
+
+module.exports = { isBlockedBetween, blockUser };
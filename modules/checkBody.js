@@ -1,5 +0,0 @@
-const checkBody = (obj, arr) => {
-  return arr.every(value => obj[value])
-}
-
-module.exports = checkBody
\ No newline at end of file
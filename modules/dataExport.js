@@ -0,0 +1,73 @@
+const User = require("../models/User");
+const Match = require("../models/Match");
+const Message = require("../models/Message");
+const Report = require("../models/Report");
+const PartnerInvite = require("../models/PartnerInvite");
+const Swipe = require("../models/Swipe");
+const { memberFilter } = require("./matches");
+
+// What we show of the other users in the archive: their data isn't part of the export
+const otherUserFields = "_id name imaginaryName";
+
+// Secrets are never exported, even hashed
+const hiddenUserFields =
+  "-password -token -passwordReset -emailVerification -__v";
+
+// Gathers everything we store about a user, for a GDPR access request
+const exportUserData = async (userId) => {
+  const profile = await User.findById(userId)
+    .select(hiddenUserFields)
+    .populate({ path: "myLikes", select: otherUserFields })
+    .populate({ path: "myDislikes", select: otherUserFields })
+    .populate({ path: "whoLikesMe", select: otherUserFields })
+    .populate({ path: "myRelationships", select: otherUserFields })
+    .populate({ path: "blockedUsers", select: otherUserFields })
+    .lean();
+
+  const matches = await Match.find(memberFilter(userId))
+    .select("-readMarkers -__v")
+    .populate({ path: "user", select: otherUserFields })
+    .populate({ path: "userLiked", select: otherUserFields })
+    .populate({ path: "participants", select: otherUserFields })
+    .lean();
+
+  // Only the messages written by the user, the ones of the other members belong to them
+  const messages = await Message.find({ sender: userId })
+    .select("match content date")
+    .sort({ date: 1 })
+    .lean();
+
+  const reports = await Report.find({ reporter: userId })
+    .select("reportedUser reason details status createdAt")
+    .lean();
+
+  const partnerInvites = await PartnerInvite.find({
+    $or: [{ from: userId }, { to: userId }],
+  })
+    .populate({ path: "from", select: otherUserFields })
+    .populate({ path: "to", select: otherUserFields })
+    .lean();
+
+  // The dates of the likes and dislikes
+  const swipes = await Swipe.find({ user: userId })
+    .select("target type createdAt")
+    .populate({ path: "target", select: otherUserFields })
+    .lean();
+
+  const { myLikes, myDislikes, whoLikesMe, ...profileFields } = profile;
+
+  return {
+    exportedAt: new Date(),
+    profile: profileFields,
+    likes: myLikes,
+    dislikes: myDislikes,
+    likedBy: whoLikesMe,
+    swipes,
+    matches,
+    messages,
+    reports,
+    partnerInvites,
+  };
+};
+
+module.exports = { exportUserData };
@@ -0,0 +1,101 @@
+const crypto = require("crypto");
+const bcrypt = require("bcrypt");
+const { sendMail } = require("./mailer");
+
+const HOUR_MS = 60 * 60 * 1000;
+const CODE_TTL_MS =
+  (parseFloat(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * HOUR_MS;
+const RESEND_COOLDOWN_MS =
+  (parseFloat(process.env.EMAIL_VERIFICATION_COOLDOWN_SECONDS) || 60) * 1000;
+// A code is short, after too many wrong tries the user has to ask for a new one
+const MAX_ATTEMPTS = 5;
+
+// Accounts created before the verification existed have no emailVerified field, they stay usable
+const isEmailVerified = (user) => user.emailVerified !== false;
+
+// Seconds to wait before a new code can be sent, 0 when it can be sent now
+const getResendDelay = (user) => {
+  const sentAt = user.emailVerification?.sentAt;
+  if (!sentAt) {
+    return 0;
+  }
+  const remainingMs = sentAt.getTime() + RESEND_COOLDOWN_MS - Date.now();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+};
+
+// Stores a new verification code on the user, replacing the previous one, and emails it
+const sendVerificationCode = async (user) => {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+  const now = Date.now();
+
+  // Hashed like the passwords: a code has only a million values, a fast hash would be reversed at once
+  user.emailVerification = {
+    codeHash: bcrypt.hashSync(code, 10),
+    expiresAt: new Date(now + CODE_TTL_MS),
+    sentAt: new Date(now),
+    attempts: 0,
+  };
+  await user.save();
+
+  const verifyUrl = process.env.EMAIL_VERIFICATION_URL
+    ? `${process.env.EMAIL_VERIFICATION_URL}?code=${code}`
+    : null;
+
+  await sendMail({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: [
+      `Hello ${user.name},`,
+      `Your verification code is ${code}.`,
+      verifyUrl ? `You can also open this link: ${verifyUrl}` : null,
+      `It is valid until ${user.emailVerification.expiresAt.toISOString()}.`,
+    ]
+      .filter(Boolean)
+      .join("\n\n"),
+  });
+};
+
+// Checks the code sent by the user. Returns an error message, or null when the email is now verified
+const verifyEmailCode = async (user, code) => {
+  const verification = user.emailVerification;
+  if (!verification?.codeHash || verification.expiresAt < new Date()) {
+    return "The verification code has expired, please ask for a new one";
+  }
+  if (verification.attempts >= MAX_ATTEMPTS) {
+    return "Too many wrong codes, please ask for a new one";
+  }
+
+  if (
+    typeof code !== "string" ||
+    !bcrypt.compareSync(code.trim(), verification.codeHash)
+  ) {
+    verification.attempts += 1;
+    await user.save();
+    return "Wrong verification code";
+  }
+
+  user.emailVerified = true;
+  user.emailVerification = undefined;
+  await user.save();
+  return null;
+};
+
+// Express middleware for the routes an unverified account can't use (liking, messaging).
+// Must run after authenticate
+const requireVerifiedEmail = (req, res, next) => {
+  if (!isEmailVerified(req.user)) {
+    return res.status(403).json({
+      result: false,
+      message: "Please confirm your email address first",
+    });
+  }
+  next();
+};
+
+module.exports = {
+  isEmailVerified,
+  getResendDelay,
+  sendVerificationCode,
+  verifyEmailCode,
+  requireVerifiedEmail,
+};
@@ -0,0 +1,25 @@
+// The front sends locations as { city, latitude, longitude },
+// we store them as a GeoJSON point so MongoDB can run geospatial queries on them
+const toGeoLocation = (location) => {
+  if (!location) {
+    return location;
+  }
+
+  const latitude = parseFloat(location.latitude);
+  const longitude = parseFloat(location.longitude);
+  const geoLocation = { city: location.city };
+
+  if (
+    Number.isFinite(latitude) &&
+    Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 &&
+    Math.abs(longitude) <= 180
+  ) {
+    // GeoJSON coordinates are in longitude, latitude order
+    geoLocation.point = { type: "Point", coordinates: [longitude, latitude] };
+  }
+
+  return geoLocation;
+};
+
+module.exports = { toGeoLocation };
@@ -0,0 +1,52 @@
+const sharp = require("sharp");
+const { detectImageType } = require("./validatePictures");
+
+// Images bigger than this are refused before being decoded
+const MAX_DIMENSION = parseInt(process.env.MAX_PICTURE_DIMENSION, 10) || 8000;
+
+// Sizes of the variants stored for every picture
+const variants = {
+  display: { width: 1080, height: 1350, fit: "inside", quality: 82 },
+  thumbnail: { width: 320, height: 320, fit: "cover", quality: 75 },
+};
+
+// sharp keeps no metadata (EXIF, GPS, ICC...) unless asked to,
+// rotate() applies the EXIF orientation before it is dropped
+const renderVariant = (data, { width, height, fit, quality }) =>
+  sharp(data)
+    .rotate()
+    .resize({ width, height, fit, withoutEnlargement: true })
+    .jpeg({ quality, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+// Checks an uploaded picture and renders its variants, without metadata.
+// Throws an error with a message for the user when the picture can't be used
+const processPicture = async (file) => {
+  if (!detectImageType(file.data)) {
+    throw new Error("Image formats supported: JPG, PNG, JPEG");
+  }
+
+  const { width, height } = await sharp(file.data).metadata();
+  if (!width || !height) {
+    throw new Error("This picture can't be read");
+  }
+  if (width > MAX_DIMENSION || height > MAX_DIMENSION) {
+    throw new Error(
+      `Pictures can't be larger than ${MAX_DIMENSION}x${MAX_DIMENSION} pixels`
+    );
+  }
+
+  const rendered = {};
+  for (const [name, options] of Object.entries(variants)) {
+    const { data, info } = await renderVariant(file.data, options);
+    rendered[name] = {
+      data,
+      mimetype: "image/jpeg",
+      width: info.width,
+      height: info.height,
+    };
+  }
+  return rendered;
+};
+
+module.exports = { processPicture };
@@ -0,0 +1,154 @@
+const Match = require("../models/Match");
+const { getActivity } = require("./presence");
+const { memberFilter } = require("./matches");
+
+const INBOX_DEFAULT_LIMIT = 20;
+const INBOX_MAX_LIMIT = 50;
+
+// Fields of the other participant shown in the conversation list
+const publicCardProjection = {
+  _id: 1,
+  name: 1,
+  isOnline: 1,
+  lastSeen: 1,
+  // The thumbnail of the primary picture
+  picture: {
+    $let: {
+      vars: { primary: { $arrayElemAt: [{ $ifNull: ["$pictures", []] }, 0] } },
+      in: { $ifNull: ["$$primary.thumbnailUrl", "$$primary.url"] },
+    },
+  },
+};
+
+// Builds the conversation list of a user in a single aggregation:
+// one entry per match with the other participant's card, the last message, and the unread count,
+// sorted by most recent activity (last message, or match creation when nothing was sent yet)
+const getInbox = async ({ userId, page, limit }) => {
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || INBOX_DEFAULT_LIMIT, 1),
+    INBOX_MAX_LIMIT
+  );
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+  const conversations = await Match.aggregate([
+    {
+      $match: {
+        status: { $ne: "closed" },
+        ...memberFilter(userId),
+      },
+    },
+    {
+      $addFields: {
+        lastActivityAt: {
+          $ifNull: [
+            "$lastMessageAt",
+            { $ifNull: ["$createdAt", { $toDate: "$_id" }] },
+          ],
+        },
+        // Group conversations have several other participants
+        otherUserIds: {
+          $setDifference: [
+            {
+              $setUnion: [
+                ["$user", "$userLiked"],
+                { $ifNull: ["$participants", []] },
+              ],
+            },
+            [userId],
+          ],
+        },
+        myReadMarker: {
+          $arrayElemAt: [
+            {
+              $filter: {
+                input: { $ifNull: ["$readMarkers", []] },
+                cond: { $eq: ["$$this.user", userId] },
+              },
+            },
+            0,
+          ],
+        },
+      },
+    },
+    { $sort: { lastActivityAt: -1, _id: -1 } },
+    { $skip: (pageNumber - 1) * pageSize },
+    // One more than needed to know if there is a next page
+    { $limit: pageSize + 1 },
+    {
+      $lookup: {
+        from: "users",
+        let: { otherUserIds: "$otherUserIds" },
+        pipeline: [
+          { $match: { $expr: { $in: ["$_id", "$$otherUserIds"] } } },
+          { $project: publicCardProjection },
+        ],
+        as: "otherUsers",
+      },
+    },
+    {
+      $lookup: {
+        from: "messages",
+        let: { matchId: "$_id" },
+        pipeline: [
+          { $match: { $expr: { $eq: ["$match", "$$matchId"] } } },
+          { $sort: { date: -1, _id: -1 } },
+          { $limit: 1 },
+          { $project: { _id: 1, sender: 1, content: 1, date: 1 } },
+        ],
+        as: "lastMessage",
+      },
+    },
+    {
+      $lookup: {
+        from: "messages",
+        let: {
+          matchId: "$_id",
+          lastReadAt: { $ifNull: ["$myReadMarker.lastReadAt", new Date(0)] },
+        },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$match", "$$matchId"] },
+                  { $ne: ["$sender", userId] },
+                  { $gt: ["$date", "$$lastReadAt"] },
+                ],
+              },
+            },
+          },
+          { $count: "count" },
+        ],
+        as: "unread",
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        matchId: "$_id",
+        otherUsers: 1,
+        isGroup: { $gt: [{ $size: "$otherUsers" }, 1] },
+        lastMessage: { $arrayElemAt: ["$lastMessage", 0] },
+        lastActivityAt: 1,
+        unreadCount: {
+          $ifNull: [{ $arrayElemAt: ["$unread.count", 0] }, 0],
+        },
+      },
+    },
+  ]);
+
+  return {
+    conversations: conversations.slice(0, pageSize).map((conversation) => {
+      const otherUsers = conversation.otherUsers.map((otherUser) => ({
+        ...otherUser,
+        activity: getActivity(otherUser),
+      }));
+      // otherUser is kept for one to one conversations
+      return { ...conversation, otherUsers, otherUser: otherUsers[0] };
+    }),
+    page: pageNumber,
+    hasMore: conversations.length > pageSize,
+  };
+};
+
+module.exports = { getInbox };
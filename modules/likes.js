@@ -0,0 +1,239 @@
+const User = require("../models/User");
+const Match = require("../models/Match");
+const JointLike = require("../models/JointLike");
+const { findMatchBetween, getPairKey } = require("./matches");
+const { notifyUser } = require("./notify");
+const { serializeUser, serializedUserFields } = require("./serializeUser");
+const { recordSwipe } = require("./swipes");
+
+// A linked group is a user and their accepted partners
+const getGroupMemberIds = (user) => {
+  return [user._id, ...user.myRelationships].sort((a, b) =>
+    a.toString().localeCompare(b.toString())
+  );
+};
+
+const getGroupKey = (memberIds) => memberIds.map(String).join("-");
+
+const uniqueIds = (ids) => {
+  return ids.filter(
+    (id, index) => ids.findIndex((other) => other.equals(id)) === index
+  );
+};
+
+// Removes the likes given in both directions between users and another user,
+// once they matched or when one of them dislikes the other
+const removeLikesBetween = async (userIds, otherUserId) => {
+  await User.updateMany(
+    { _id: { $in: userIds } },
+    { $pull: { myLikes: otherUserId, whoLikesMe: otherUserId } }
+  );
+  await User.updateOne(
+    { _id: otherUserId },
+    {
+      $pull: {
+        myLikes: { $in: userIds },
+        whoLikesMe: { $in: userIds },
+      },
+    }
+  );
+};
+
+// Creates the match between two users and tells everyone involved.
+// When one of them belongs to a group in joint mode the whole group is part of the conversation,
+// userGroupIds forces the group of our user when the like was given by the whole group.
+// The match is upserted on the key of the pair: when both users like each other at the same time
+// only one match is created, and calling it again returns the existing match
+const createMatch = async ({ io, user, likedUser, userGroupIds }) => {
+  const participants = uniqueIds([
+    ...(userGroupIds ||
+      (user.jointLiking ? getGroupMemberIds(user) : [user._id])),
+    ...(likedUser.jointLiking
+      ? getGroupMemberIds(likedUser)
+      : [likedUser._id]),
+  ]);
+  const pairKey = getPairKey(user._id, likedUser._id);
+
+  let matchData;
+  let created = false;
+  try {
+    const result = await Match.findOneAndUpdate(
+      { pairKey },
+      {
+        $setOnInsert: {
+          user: user._id,
+          userLiked: likedUser._id,
+          participants,
+        },
+      },
+      { upsert: true, new: true, rawResult: true }
+    );
+    matchData = result.value;
+    created = !result.lastErrorObject.updatedExisting;
+  } catch (error) {
+    // Two upserts running at the same time can both try to insert, the unique index refuses the second one
+    if (error.code !== 11000) {
+      throw error;
+    }
+    matchData = await Match.findOne({ pairKey });
+  }
+
+  // The likes are replaced by the match. Done again when the match already existed,
+  // in case the request that created it stopped before
+  await removeLikesBetween(userGroupIds || [user._id], likedUser._id);
+
+  // Populate the user and userLiked properties in the matchData
+  const populatedMatchData = await Match.populate(matchData, [
+    { path: "user", select: serializedUserFields },
+    { path: "userLiked", select: serializedUserFields },
+  ]);
+
+  if (created) {
+    matchData.participants.forEach((participantId) =>
+      notifyUser(io, participantId, "newMatch", { matchId: matchData._id })
+    );
+  }
+
+  return {
+    ...populatedMatchData.toObject(),
+    user: serializeUser(populatedMatchData.user, {
+      view: "match",
+      viewer: user,
+    }),
+    userLiked: serializeUser(populatedMatchData.userLiked, {
+      view: "match",
+      viewer: user,
+    }),
+  };
+};
+
+// Like from one user to another: it's a match if the liked user already liked our user.
+// Liking again is harmless: the like is only added once, and a like that already gave a match
+// returns the match
+const likeUser = async ({ io, user, likedUser }) => {
+  const existingMatch = await findMatchBetween(user._id, likedUser._id);
+  if (existingMatch) {
+    const isSamePair =
+      existingMatch.pairKey === getPairKey(user._id, likedUser._id);
+    if (isSamePair && existingMatch.status === "active") {
+      const matchData = await createMatch({ io, user, likedUser });
+      return { isAMatch: true, matchData };
+    }
+    throw new Error("Match already exists");
+  }
+
+  await recordSwipe(user._id, likedUser._id, "like");
+
+  // The like is written on both sides before looking for the like in the other direction:
+  // when two users like each other at the same time, at least one of them sees the other like
+  await User.updateOne(
+    { _id: user._id },
+    { $addToSet: { myLikes: likedUser._id } }
+  );
+  await User.updateOne(
+    { _id: likedUser._id },
+    { $addToSet: { whoLikesMe: user._id } }
+  );
+
+  const isLikedBack = await User.exists({
+    _id: user._id,
+    whoLikesMe: likedUser._id,
+  });
+  if (isLikedBack) {
+    const matchData = await createMatch({ io, user, likedUser });
+    return { isAMatch: true, matchData };
+  }
+
+  return { isAMatch: false };
+};
+
+// Like from a user whose group is in joint mode: the like is recorded as an approval,
+// and it's only given on behalf of the whole group once every member approved it
+const jointLikeUser = async ({ io, user, likedUser }) => {
+  const memberIds = getGroupMemberIds(user);
+
+  for (const memberId of memberIds) {
+    if (await findMatchBetween(memberId, likedUser._id)) {
+      throw new Error("Match already exists");
+    }
+  }
+
+  const jointLike = await JointLike.findOneAndUpdate(
+    {
+      groupKey: getGroupKey(memberIds),
+      likedUser: likedUser._id,
+      status: "pending",
+    },
+    {
+      $addToSet: { approvals: user._id },
+      $setOnInsert: { members: memberIds, initiator: user._id },
+    },
+    { upsert: true, new: true }
+  );
+  // The approval can be rewound like a like, see modules/swipes.js
+  await recordSwipe(user._id, likedUser._id, "like");
+
+  const missingApprovals = memberIds.filter(
+    (memberId) => !jointLike.approvals.some((id) => id.equals(memberId))
+  );
+
+  if (missingApprovals.length > 0) {
+    missingApprovals.forEach((memberId) =>
+      notifyUser(io, memberId, "jointLikeRequest", {
+        jointLikeId: jointLike._id,
+        likedUser: { _id: likedUser._id, name: likedUser.name },
+        approvals: jointLike.approvals.length,
+        required: memberIds.length,
+      })
+    );
+    return {
+      pending: true,
+      jointLikeId: jointLike._id,
+      approvals: jointLike.approvals.length,
+      required: memberIds.length,
+    };
+  }
+
+  // Only the last approval turns the joint like into real likes
+  const approved = await JointLike.findOneAndUpdate(
+    { _id: jointLike._id, status: "pending" },
+    { status: "approved" }
+  );
+  if (!approved) {
+    return { pending: false, isAMatch: false };
+  }
+
+  // Same as likeUser: the likes are written before looking for a like of the liked user
+  await User.updateMany(
+    { _id: { $in: memberIds } },
+    { $addToSet: { myLikes: likedUser._id } }
+  );
+  await User.updateOne(
+    { _id: likedUser._id },
+    { $addToSet: { whoLikesMe: { $each: memberIds } } }
+  );
+
+  // If the liked user already liked one of the members, it's a match with the whole group
+  const likedMember = await User.findOne({
+    _id: { $in: memberIds },
+    whoLikesMe: likedUser._id,
+  });
+  if (likedMember) {
+    const matchData = await createMatch({
+      io,
+      user: likedMember,
+      likedUser,
+      userGroupIds: memberIds,
+    });
+    return { pending: false, isAMatch: true, matchData };
+  }
+
+  return { pending: false, isAMatch: false };
+};
+
+module.exports = {
+  likeUser,
+  jointLikeUser,
+  removeLikesBetween,
+  getGroupMemberIds,
+};
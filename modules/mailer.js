@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+
+// A transport is an object with an async send(mail) method.
+// The transport used is chosen with MAIL_TRANSPORT, other transports (SMTP, mail API...)
+// can be added with registerTransport without touching the code that sends emails
+const transports = {};
+
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+// Keeps the last emails in memory, to read them in tests or from a REPL
+const OUTBOX_MAX_LENGTH = 100;
+const outbox = [];
+registerTransport("memory", {
+  send: async (mail) => {
+    outbox.push(mail);
+    outbox.splice(0, outbox.length - OUTBOX_MAX_LENGTH);
+  },
+});
+
+// Appends every email as a JSON line to a local file, to read them while working offline
+registerTransport("file", {
+  send: async (mail) => {
+    const file = path.resolve(
+      process.env.MAIL_OUTBOX_FILE || "tmp/mail-outbox.log"
+    );
+    await fs.promises.appendFile(file, JSON.stringify(mail) + "\n");
+  },
+});
+
+// The emails kept in memory are never delivered, so the transport must be chosen
+// everywhere but in development and in the tests
+const isLocalEnv = ["development", "test"].includes(process.env.NODE_ENV);
+if (!process.env.MAIL_TRANSPORT && !isLocalEnv) {
+  throw new Error(
+    "MAIL_TRANSPORT is required when NODE_ENV is not development or test"
+  );
+}
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || "memory";
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  return transport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const mail = {
+    from: process.env.MAIL_FROM || "Serenade <no-reply@serenade.local>",
+    to,
+    subject,
+    text,
+    date: new Date(),
+  };
+  await getTransport().send(mail);
+  return mail;
+};
+
+module.exports = { sendMail, registerTransport, outbox };
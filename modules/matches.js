@@ -0,0 +1,71 @@
+const Match = require("../models/Match");
+
+// Query filter of the matches a user is part of.
+// Group matches list all their members in participants, older matches only have user and userLiked
+const memberFilter = (userId) => ({
+  $or: [{ user: userId }, { userLiked: userId }, { participants: userId }],
+});
+
+// Ids of all the members of a match, without duplicates
+const getMatchMemberIds = (match) => {
+  const memberIds = [
+    match.user,
+    match.userLiked,
+    ...(match.participants || []),
+  ].filter(Boolean);
+  return memberIds.filter(
+    (id, index) => memberIds.findIndex((other) => other.equals(id)) === index
+  );
+};
+
+// Key of the unordered pair of users of a match
+const getPairKey = (userId, otherUserId) =>
+  [userId, otherUserId].map(String).sort().join("-");
+
+// Returns the match of the pair of two users, whoever liked first.
+// Two partners are both members of their group matches, but never a pair of them
+const findMatchBetween = (userId, otherUserId) => {
+  return Match.findOne({
+    $or: [
+      { pairKey: getPairKey(userId, otherUserId) },
+      // Matches created before the pair keys, see scripts/migrateMatchPairs.js
+      { user: userId, userLiked: otherUserId, pairKey: { $exists: false } },
+      { user: otherUserId, userLiked: userId, pairKey: { $exists: false } },
+    ],
+  });
+};
+
+// Tells if the user is one of the members of the match
+const isMatchMember = (match, userId) => {
+  return getMatchMemberIds(match).some((id) => id.equals(userId));
+};
+
+// Closes a match and its conversation room: the messages are kept for moderation
+// but nobody can join the room or send messages in it anymore
+const closeMatch = async ({ io, match, closedBy }) => {
+  if (match.status === "closed") {
+    return match;
+  }
+
+  match.status = "closed";
+  match.closedAt = new Date();
+  match.closedBy = closedBy;
+  await match.save();
+
+  if (io) {
+    const roomId = match._id.toString();
+    io.to(roomId).emit("matchClosed", { matchId: roomId });
+    io.in(roomId).socketsLeave(roomId);
+  }
+
+  return match;
+};
+
+module.exports = {
+  memberFilter,
+  getMatchMemberIds,
+  getPairKey,
+  findMatchBetween,
+  isMatchMember,
+  closeMatch,
+};
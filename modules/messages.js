@@ -0,0 +1,232 @@
+const mongoose = require("mongoose");
+const Match = require("../models/Match");
+const Message = require("../models/Message");
+const { memberFilter } = require("./matches");
+
+const MESSAGE_MAX_LENGTH = 2000;
+const HISTORY_DEFAULT_LIMIT = 30;
+const HISTORY_MAX_LIMIT = 100;
+
+// Checks the content of a chat message and returns an error message if it is not valid
+const validateMessageContent = (content) => {
+  if (typeof content !== "string" || !content.trim()) {
+    return "Message content is required";
+  }
+  if (content.length > MESSAGE_MAX_LENGTH) {
+    return `Message content cannot exceed ${MESSAGE_MAX_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Returns the match if it is still active and the given user is one of its members
+const findMatchForMember = async (matchId, userId) => {
+  if (!mongoose.isValidObjectId(matchId)) {
+    return null;
+  }
+  return Match.findOne({
+    _id: matchId,
+    status: { $ne: "closed" },
+    ...memberFilter(userId),
+  });
+};
+
+// Shape of a message as it is sent to the front
+const formatMessage = (message) => ({
+  _id: message._id,
+  matchId: message.match,
+  sender: message.sender,
+  content: message.content,
+  date: message.date,
+  clientMessageId: message.clientMessageId,
+});
+
+// Id of a message given by the front, so a message sent twice is only stored and broadcast once.
+// The old front sends each message both on the socket and to /action/newMessage without an id,
+// the date it puts in the message is the same in both and is used instead
+const getClientMessageId = ({ clientMessageId, date } = {}) => {
+  if (typeof clientMessageId === "string" && clientMessageId.trim()) {
+    return clientMessageId.trim().slice(0, 100);
+  }
+  const clientDate = date ? new Date(date) : null;
+  return clientDate && !isNaN(clientDate)
+    ? `date:${clientDate.toISOString()}`
+    : undefined;
+};
+
+// Stores a new message in a match the sender belongs to.
+// This is the only place where messages are created, whether they come from the socket or from the http route,
+// so the date is always set by the server and the sender is always the id of an authenticated user.
+// created is false when the message was already stored with the same client id, it must not be broadcast again
+const createMessage = async ({
+  matchId,
+  senderId,
+  content,
+  clientMessageId,
+}) => {
+  const contentError = validateMessageContent(content);
+  if (contentError) {
+    throw new Error(contentError);
+  }
+
+  const match = await findMatchForMember(matchId, senderId);
+  if (!match) {
+    throw new Error("Match not found");
+  }
+
+  const duplicateFilter = {
+    match: match._id,
+    sender: senderId,
+    clientMessageId,
+  };
+  if (clientMessageId) {
+    const existingMessage = await Message.findOne(duplicateFilter);
+    if (existingMessage) {
+      return { message: formatMessage(existingMessage), created: false };
+    }
+  }
+
+  let message;
+  try {
+    message = await Message.create({
+      match: match._id,
+      sender: senderId,
+      content: content.trim(),
+      date: new Date(),
+      clientMessageId,
+    });
+  } catch (error) {
+    // The same message sent at the same time on the socket and on http, the unique index refuses the second one
+    if (error.code !== 11000 || !clientMessageId) {
+      throw error;
+    }
+    const existingMessage = await Message.findOne(duplicateFilter);
+    return { message: formatMessage(existingMessage), created: false };
+  }
+
+  await Match.updateOne(
+    { _id: match._id },
+    { $max: { lastMessageAt: message.date } }
+  );
+
+  return { message: formatMessage(message), created: true };
+};
+
+// Sends a stored message to everyone in the match room, except the sender socket if one is given
+const broadcastMessage = (io, message, senderSocket) => {
+  const roomId = message.matchId.toString();
+  const emitter = senderSocket ? senderSocket.to(roomId) : io.to(roomId);
+  emitter.emit("messageReceived", message);
+};
+
+// Moves the read marker of a match member to now and returns it
+const markRead = async ({ matchId, userId }) => {
+  const match = await findMatchForMember(matchId, userId);
+  if (!match) {
+    throw new Error("Match not found");
+  }
+
+  const lastMessage = await Message.findOne({ match: match._id })
+    .sort({ date: -1, _id: -1 })
+    .select("_id");
+  const marker = {
+    user: userId,
+    lastReadAt: new Date(),
+    lastReadMessage: lastMessage ? lastMessage._id : null,
+  };
+
+  // We update the existing marker of the user, or add one if it's the first time they read this match
+  const updated = await Match.updateOne(
+    { _id: match._id, "readMarkers.user": userId },
+    {
+      $set: {
+        "readMarkers.$.lastReadAt": marker.lastReadAt,
+        "readMarkers.$.lastReadMessage": marker.lastReadMessage,
+      },
+    }
+  );
+  if (updated.matchedCount === 0) {
+    await Match.updateOne(
+      { _id: match._id, "readMarkers.user": { $ne: userId } },
+      { $push: { readMarkers: marker } }
+    );
+  }
+
+  return { ...marker, matchId: match._id };
+};
+
+// Counts the messages of a match sent by the other participant after the user's read marker
+const countUnread = (match, userId) => {
+  const userIdString = userId.toString();
+  const marker = (match.readMarkers || []).find(
+    (readMarker) => readMarker.user?.toString() === userIdString
+  );
+
+  const filter = { match: match._id, sender: { $ne: userId } };
+  if (marker) {
+    filter.date = { $gt: marker.lastReadAt };
+  }
+  return Message.countDocuments(filter);
+};
+
+// Returns a page of messages of a match, in chronological order.
+// The cursor is a message id: we fetch the messages sent before it (older history) or after it (newer messages),
+// and by default the most recent ones
+const getMessageHistory = async ({ matchId, userId, before, after, limit }) => {
+  const match = await findMatchForMember(matchId, userId);
+  if (!match) {
+    throw new Error("Match not found");
+  }
+
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || HISTORY_DEFAULT_LIMIT, 1),
+    HISTORY_MAX_LIMIT
+  );
+
+  const cursorId = before || after;
+  const filter = { match: match._id };
+  if (cursorId) {
+    const cursor = mongoose.isValidObjectId(cursorId)
+      ? await Message.findOne({ _id: cursorId, match: match._id })
+      : null;
+    if (!cursor) {
+      throw new Error("Cursor message not found");
+    }
+
+    // Messages can share the same date so the id is used as a tie breaker
+    const operator = before ? "$lt" : "$gt";
+    filter.$or = [
+      { date: { [operator]: cursor.date } },
+      { date: cursor.date, _id: { [operator]: cursor._id } },
+    ];
+  }
+
+  const direction = after ? 1 : -1;
+  const messages = await Message.find(filter)
+    .sort({ date: direction, _id: direction })
+    .limit(pageSize + 1);
+
+  const hasMore = messages.length > pageSize;
+  const page = messages.slice(0, pageSize);
+  if (!after) {
+    page.reverse();
+  }
+
+  return {
+    messages: page.map(formatMessage),
+    hasMore,
+    // Cursors the front can use to load the next pages in both directions
+    before: page.length > 0 ? page[0]._id : null,
+    after: page.length > 0 ? page[page.length - 1]._id : null,
+  };
+};
+
+module.exports = {
+  getClientMessageId,
+  createMessage,
+  broadcastMessage,
+  validateMessageContent,
+  findMatchForMember,
+  markRead,
+  countUnread,
+  getMessageHistory,
+};
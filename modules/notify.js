@@ -0,0 +1,11 @@
+const { userRoom } = require("./presence");
+
+// Sends a socket event to every device of a user, if the socket server is running
+const notifyUser = (io, userId, eventName, payload) => {
+  if (!io) {
+    return;
+  }
+  io.to(userRoom(userId)).emit(eventName, payload);
+};
+
+module.exports = { notifyUser };
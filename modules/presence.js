@@ -0,0 +1,113 @@
+const User = require("../models/User");
+const Match = require("../models/Match");
+const { memberFilter, getMatchMemberIds } = require("./matches");
+
+// How long we wait after the last socket of a user is closed before showing them offline,
+// so a page reload or a short network loss doesn't make them blink
+const PRESENCE_GRACE_MS = parseInt(process.env.PRESENCE_GRACE_MS, 10) || 30000;
+// Users seen in this period are shown as "recently active"
+const RECENTLY_ACTIVE_MS =
+  parseInt(process.env.RECENTLY_ACTIVE_MS, 10) || 24 * 60 * 60 * 1000;
+
+// Every user has a personal room joined by all their sockets (one per device)
+const userRoom = (userId) => `user:${userId}`;
+
+// Open sockets of each connected user, and pending offline timers
+const connections = new Map();
+const offlineTimers = new Map();
+
+// Sends the new presence of a user to everyone they have an active match with
+const notifyMatches = async (io, userId, presence) => {
+  const matches = await Match.find({
+    status: { $ne: "closed" },
+    ...memberFilter(userId),
+  }).select("user userLiked participants");
+
+  matches.forEach((match) => {
+    getMatchMemberIds(match)
+      .filter((memberId) => !memberId.equals(userId))
+      .forEach((otherUserId) => {
+        io.to(userRoom(otherUserId)).emit("presenceChanged", {
+          userId,
+          ...presence,
+        });
+      });
+  });
+};
+
+const setPresence = async (io, userId, isOnline) => {
+  const presence = { isOnline, lastSeen: new Date() };
+  await User.updateOne({ _id: userId }, presence);
+  await notifyMatches(io, userId, presence);
+};
+
+// Called for every authenticated socket connection
+const userConnected = async (io, socket) => {
+  const userId = socket.data.userId;
+
+  if (offlineTimers.has(userId)) {
+    clearTimeout(offlineTimers.get(userId));
+    offlineTimers.delete(userId);
+  }
+
+  const sockets = connections.get(userId) || new Set();
+  const wasOnline = sockets.size > 0;
+  sockets.add(socket.id);
+  connections.set(userId, sockets);
+
+  // Only the first device going online changes the presence.
+  // A user reconnecting during the grace period is still online in database
+  if (!wasOnline) {
+    await setPresence(io, userId, true);
+  }
+};
+
+// Called when a socket is closed, the user goes offline once all their devices are gone
+const userDisconnected = (io, socket) => {
+  const userId = socket.data.userId;
+  const sockets = connections.get(userId);
+  if (!sockets) {
+    return;
+  }
+
+  sockets.delete(socket.id);
+  if (sockets.size > 0) {
+    return;
+  }
+  connections.delete(userId);
+
+  const timer = setTimeout(() => {
+    offlineTimers.delete(userId);
+    if (connections.has(userId)) {
+      return;
+    }
+    setPresence(io, userId, false).catch((error) =>
+      console.error(error.message)
+    );
+  }, PRESENCE_GRACE_MS);
+  offlineTimers.set(userId, timer);
+};
+
+// Nobody is connected when the server starts, so we clear the presence left by the previous run
+const resetPresence = () => {
+  return User.updateMany({ isOnline: true }, { isOnline: false });
+};
+
+// Presence signal shown in recommendation and match payloads
+const getActivity = (user) => {
+  if (user.isOnline) {
+    return "online";
+  }
+  if (user.lastSeen && Date.now() - user.lastSeen < RECENTLY_ACTIVE_MS) {
+    return "recent";
+  }
+  return "away";
+};
+
+module.exports = {
+  userRoom,
+  userConnected,
+  userDisconnected,
+  resetPresence,
+  getActivity,
+};
@@ -0,0 +1,218 @@
+// Limits how often the same IP or the same user can call the sensitive actions
+// (sign in, sign up, likes, messages), on HTTP and on the socket.
+//
+// A store is an object with these async methods, keys expire by themselves:
+// - increment(key, ttlMs): adds 1 to the counter of key, created for ttlMs if missing, returns { count, expiresAt }
+// - get(key): returns the value of key or null
+// - set(key, value, ttlMs)
+// - delete(key)
+// The store used is chosen with RATE_LIMIT_STORE, other stores (Redis...) can be added
+// with registerStore, for example to share the counters between several servers
+const stores = {};
+
+const registerStore = (name, store) => {
+  stores[name] = store;
+};
+
+// Keeps the counters in the memory of the process, they are lost on restart
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const getEntry = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // The expired keys nobody asks for anymore are removed once a minute
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    });
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    increment: async (key, ttlMs) => {
+      const entry = getEntry(key) || {
+        value: 0,
+        expiresAt: Date.now() + ttlMs,
+      };
+      entry.value += 1;
+      entries.set(key, entry);
+      return { count: entry.value, expiresAt: entry.expiresAt };
+    },
+    get: async (key) => getEntry(key)?.value ?? null,
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    delete: async (key) => {
+      entries.delete(key);
+    },
+  };
+};
+
+registerStore("memory", createMemoryStore());
+
+const getStore = () => {
+  const name = process.env.RATE_LIMIT_STORE || "memory";
+  const store = stores[name];
+  if (!store) {
+    throw new Error(`Unknown rate limit store "${name}"`);
+  }
+  return store;
+};
+
+const readNumber = (name, defaultValue) =>
+  parseInt(process.env[name], 10) || defaultValue;
+
+// Number of requests allowed per window, counted by IP and/or by user.
+// Every limit can be changed with RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW (in seconds)
+const limitDefaults = {
+  signin: { max: 20, window: 15 * 60, by: ["ip"] },
+  signup: { max: 5, window: 60 * 60, by: ["ip"] },
+  like: { max: 60, window: 60, by: ["user"] },
+  // Shared by the socket messageSend event and the /action/newMessage route
+  message: { max: 30, window: 60, by: ["user"] },
+};
+
+const getLimit = (name) => {
+  const defaults = limitDefaults[name];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit "${name}"`);
+  }
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  return {
+    ...defaults,
+    max: readNumber(`${prefix}_MAX`, defaults.max),
+    windowMs: readNumber(`${prefix}_WINDOW`, defaults.window) * 1000,
+  };
+};
+
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
+
+// Counts one call of the action for each of the keys.
+// Returns 0 when it is allowed, or the number of seconds to wait
+const consumeLimit = async (name, { ip, userId }) => {
+  const { max, windowMs, by } = getLimit(name);
+  const identities = { ip, user: userId };
+  const store = getStore();
+
+  let retryAfter = 0;
+  for (const identity of by) {
+    if (!identities[identity]) {
+      continue;
+    }
+    const key = `${name}:${identity}:${identities[identity]}`;
+    const { count, expiresAt } = await store.increment(key, windowMs);
+    if (count > max) {
+      retryAfter = Math.max(retryAfter, secondsUntil(expiresAt));
+    }
+  }
+  return retryAfter;
+};
+
+const tooManyRequests = (res, retryAfter, message) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    result: false,
+    message:
+      message || `Too many requests, please retry in ${retryAfter} seconds`,
+    retryAfter,
+  });
+};
+
+// Express middleware applying a limit of limitDefaults.
+// The users are known on the routes behind the authenticate middleware
+const rateLimit = (name) => async (req, res, next) => {
+  try {
+    const retryAfter = await consumeLimit(name, {
+      ip: req.ip,
+      userId: req.user?._id.toString(),
+    });
+    if (retryAfter > 0) {
+      return tooManyRequests(res, retryAfter);
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ result: false, message: error.message });
+  }
+};
+
+// Same limits for the socket events. Returns 0 when allowed, or the number of seconds to wait
+const consumeSocketLimit = (name, socket) =>
+  consumeLimit(name, {
+    ip: socket.handshake.address,
+    userId: socket.data.userId,
+  });
+
+// Progressive lockout of the sign in: after SIGNIN_LOCKOUT_THRESHOLD failed attempts,
+// every new failure locks the sign in twice longer, up to SIGNIN_LOCKOUT_MAX_SECONDS.
+// The failures are counted per account and IP, so someone guessing a password
+// can't lock the owner of the account out from their own devices
+const SIGNIN_LOCKOUT_THRESHOLD = readNumber("SIGNIN_LOCKOUT_THRESHOLD", 5);
+const SIGNIN_LOCKOUT_BASE_SECONDS = readNumber(
+  "SIGNIN_LOCKOUT_BASE_SECONDS",
+  60
+);
+const SIGNIN_LOCKOUT_MAX_SECONDS = readNumber(
+  "SIGNIN_LOCKOUT_MAX_SECONDS",
+  60 * 60
+);
+// The failures are forgotten one day after the last one
+const SIGNIN_FAILURES_TTL_MS = 24 * 60 * 60 * 1000;
+
+const signinKey = (email, ip) => `signinFailures:${email.toLowerCase()}:${ip}`;
+
+// Returns the number of seconds before the account can be tried again from this IP, or 0
+const getSigninLockout = async (email, ip) => {
+  const failures = await getStore().get(signinKey(email, ip));
+  if (!failures?.lockedUntil) {
+    return 0;
+  }
+  return failures.lockedUntil > Date.now()
+    ? secondsUntil(failures.lockedUntil)
+    : 0;
+};
+
+// Returns the lockout started by this failure in seconds, or 0
+const recordFailedSignin = async (email, ip) => {
+  const store = getStore();
+  const key = signinKey(email, ip);
+  const count = ((await store.get(key))?.count || 0) + 1;
+
+  let lockout = 0;
+  if (count >= SIGNIN_LOCKOUT_THRESHOLD) {
+    lockout = Math.min(
+      SIGNIN_LOCKOUT_BASE_SECONDS * 2 ** (count - SIGNIN_LOCKOUT_THRESHOLD),
+      SIGNIN_LOCKOUT_MAX_SECONDS
+    );
+  }
+  await store.set(
+    key,
+    { count, lockedUntil: lockout ? Date.now() + lockout * 1000 : null },
+    SIGNIN_FAILURES_TTL_MS
+  );
+  return lockout;
+};
+
+const resetFailedSignins = (email, ip) =>
+  getStore().delete(signinKey(email, ip));
+
+module.exports = {
+  registerStore,
+  createMemoryStore,
+  rateLimit,
+  consumeSocketLimit,
+  tooManyRequests,
+  getSigninLockout,
+  recordFailedSignin,
+  resetFailedSignins,
+};
@@ -0,0 +1,453 @@
+const mongoose = require("mongoose");
+const { subYears, differenceInYears } = require("date-fns");
+const User = require("../models/User");
+const Match = require("../models/Match");
+const { memberFilter, getMatchMemberIds } = require("./matches");
+const { expireDislikes } = require("./swipes");
+
+// Fields of the candidates never sent to the front
+const hiddenFields = {
+  password: 0,
+  myLikes: 0,
+  myDislikes: 0,
+  whoLikesMe: 0,
+  imaginaryName: 0,
+  blockedUsers: 0,
+};
+
+// Same fields hidden on the partners of the candidates
+const relationshipsHiddenFields = Object.keys(hiddenFields).reduce(
+  (fields, field) => ({ ...fields, [`myRelationships.${field}`]: 0 }),
+  {}
+);
+
+// Ids of the users our user already interacted with: likes, dislikes (until they expire) and matches (even closed ones)
+const getExcludedUserIds = async (user) => {
+  const matches = await Match.find(memberFilter(user._id)).select(
+    "user userLiked participants"
+  );
+
+  const matchedUserIds = matches.flatMap(getMatchMemberIds);
+
+  // The users of the expired dislikes come back in the recommendations
+  const expiredIds = await expireDislikes(user._id);
+  const dislikedIds = user.myDislikes.filter(
+    (id) => !expiredIds.some((expiredId) => expiredId.equals(id))
+  );
+
+  return [user._id, ...user.myLikes, ...dislikedIds, ...matchedUserIds];
+};
+
+// Birthdate bounds matching an age range: someone is ageMin years old once born ageMin years ago,
+// and stops being ageMax years old ageMax + 1 years after their birth
+const birthdateRange = (ageMin, ageMax, now = new Date()) => {
+  const range = {};
+  if (Number.isFinite(ageMin)) {
+    range.$lte = subYears(now, ageMin);
+  }
+  if (Number.isFinite(ageMax)) {
+    range.$gt = subYears(now, ageMax + 1);
+  }
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+// Filter applied in MongoDB to the candidates according to the search settings of our user
+const buildCandidateFilter = (user, excludedUserIds) => {
+  // Blocks work both ways: users blocked by our user and users who blocked them are excluded
+  const filter = {
+    _id: { $nin: [...excludedUserIds, ...(user.blockedUsers || [])] },
+    blockedUsers: { $ne: user._id },
+    // Accounts waiting for their email confirmation are not shown to anyone
+    emailVerified: { $ne: false },
+    // and so are the accounts waiting for their deletion
+    deletionScheduledFor: null,
+    // and the banned or suspended accounts, a suspension stops counting once it is over
+    // like in modules/accountStatus.js
+    $nor: [
+      { accountStatus: "banned" },
+      {
+        accountStatus: "suspended",
+        $or: [
+          { suspendedUntil: null },
+          { suspendedUntil: { $gt: new Date() } },
+        ],
+      },
+    ],
+  };
+
+  const search = user.search;
+  if (!search) {
+    return filter;
+  }
+
+  if (search.genderLiked) {
+    filter.gender = search.genderLiked;
+  }
+  if (search.sexualityLiked) {
+    filter.sexuality = search.sexualityLiked;
+  }
+  const birthdate = birthdateRange(search.ageMin, search.ageMax);
+  if (birthdate) {
+    filter.birthdate = birthdate;
+  }
+
+  return filter;
+};
+
+// In "strict" mode a candidate is only recommended if we know our user fits all their search settings.
+// In "lenient" mode the settings the candidate didn't fill, or that can't be checked
+// because our user didn't fill the matching profile field, are ignored
+const mutualModes = ["lenient", "strict"];
+
+// Condition on a search setting of the candidates that must be equal to a field of our user
+const preferenceCondition = (field, value, strict) => {
+  if (strict) {
+    return value ? { [field]: value } : { _id: { $exists: false } };
+  }
+  if (!value) {
+    return {};
+  }
+  return { $or: [{ [field]: { $in: [null, ""] } }, { [field]: value }] };
+};
+
+// Condition on a bound of the age range of the candidates
+const ageBoundCondition = (field, operator, age, strict) => {
+  if (strict) {
+    return age === null
+      ? { _id: { $exists: false } }
+      : { [field]: { [operator]: age } };
+  }
+  if (age === null) {
+    return {};
+  }
+  return { $or: [{ [field]: null }, { [field]: { [operator]: age } }] };
+};
+
+// Filter checking that our user fits the search settings of the candidates:
+// gender, sexuality and age range. The max distance is checked once $geoNear computed it
+const buildMutualFilter = (user, strict) => {
+  const age = user.birthdate
+    ? differenceInYears(new Date(), user.birthdate)
+    : null;
+
+  const conditions = [
+    preferenceCondition("search.genderLiked", user.gender, strict),
+    preferenceCondition("search.sexualityLiked", user.sexuality, strict),
+    ageBoundCondition("search.ageMin", "$lte", age, strict),
+    ageBoundCondition("search.ageMax", "$gte", age, strict),
+  ].filter((condition) => Object.keys(condition).length > 0);
+
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+// Expression checking that our user is within the max distance of the candidates
+const mutualDistanceExpression = (strict) => {
+  const hasMaxDistance = { $gt: ["$search.maxDistance", 0] };
+  const hasDistance = { $ne: [{ $type: "$distance" }, "missing"] };
+  const withinDistance = { $lte: ["$distance", "$search.maxDistance"] };
+
+  return strict
+    ? { $and: [hasMaxDistance, hasDistance, withinDistance] }
+    : {
+        $or: [
+          { $not: [hasMaxDistance] },
+          { $not: [hasDistance] },
+          withinDistance,
+        ],
+      };
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+const PAGE_DEFAULT_LIMIT = 20;
+const PAGE_MAX_LIMIT = 50;
+
+// Weight of each criterion in the compatibility score, they can be tuned with environment variables
+// (RECOMMENDATION_WEIGHT_DISTANCE, RECOMMENDATION_WEIGHT_AGE...)
+const defaultScoringWeights = {
+  distance: 0.3,
+  age: 0.2,
+  activity: 0.2,
+  completeness: 0.15,
+  likedMe: 0.15,
+};
+
+const getScoringWeights = () => {
+  return Object.keys(defaultScoringWeights).reduce((weights, criterion) => {
+    const envValue = parseFloat(
+      process.env[`RECOMMENDATION_WEIGHT_${criterion.toUpperCase()}`]
+    );
+    weights[criterion] = Number.isFinite(envValue)
+      ? envValue
+      : defaultScoringWeights[criterion];
+    return weights;
+  }, {});
+};
+
+// Keeps an expression between 0 and 1
+const clamp = (expression) => ({ $max: [0, { $min: [1, expression] }] });
+
+// Each criterion gives a value between 0 and 1, unknown values count as neutral (0.5)
+const buildScoreCriteria = (user, now) => {
+  const search = user.search || {};
+
+  // The closer the better, relative to the max distance of our user or to 50km when none is set
+  const distance = {
+    $cond: [
+      { $eq: [{ $type: "$distance" }, "missing"] },
+      0.5,
+      search.maxDistance > 0
+        ? clamp({
+            $subtract: [1, { $divide: ["$distance", search.maxDistance] }],
+          })
+        : { $divide: [1, { $add: [1, { $divide: ["$distance", 50] }] }] },
+    ],
+  };
+
+  // The closer to the middle of the preferred age range the better
+  let age = 0.5;
+  if (Number.isFinite(search.ageMin) && Number.isFinite(search.ageMax)) {
+    const middle = (search.ageMin + search.ageMax) / 2;
+    const halfRange = Math.max((search.ageMax - search.ageMin) / 2, 1);
+    const candidateAge = {
+      $divide: [{ $subtract: [now, "$birthdate"] }, YEAR_MS],
+    };
+    const gap = { $abs: { $subtract: [candidateAge, middle] } };
+    age = {
+      $cond: [
+        { $eq: [{ $type: "$birthdate" }, "date"] },
+        clamp({ $subtract: [1, { $divide: [gap, halfRange + 1] }] }),
+        0.5,
+      ],
+    };
+  }
+
+  // Online users first, then users seen in the last week
+  const activity = {
+    $cond: [
+      { $eq: ["$isOnline", true] },
+      1,
+      {
+        $cond: [
+          { $eq: [{ $type: "$lastSeen" }, "date"] },
+          clamp({
+            $subtract: [
+              1,
+              { $divide: [{ $subtract: [now, "$lastSeen"] }, 7 * DAY_MS] },
+            ],
+          }),
+          0,
+        ],
+      },
+    ],
+  };
+
+  // Profiles with pictures, a description and an occupation are more engaging
+  const hasText = (field) => ({
+    $cond: [{ $gt: [{ $strLenCP: { $ifNull: [field, ""] } }, 0] }, 1, 0],
+  });
+  const completeness = {
+    $divide: [
+      {
+        $add: [
+          {
+            $divide: [
+              { $min: [{ $size: { $ifNull: ["$pictures", []] } }, 4] },
+              4,
+            ],
+          },
+          hasText("$description"),
+          hasText("$occupation"),
+        ],
+      },
+      3,
+    ],
+  };
+
+  // People who already liked our user are a guaranteed match
+  const likedMe = {
+    $cond: [{ $in: ["$_id", user.whoLikesMe || []] }, 1, 0],
+  };
+
+  return { distance, age, activity, completeness, likedMe };
+};
+
+const buildScoreExpression = (user, now) => {
+  const weights = getScoringWeights();
+  const criteria = buildScoreCriteria(user, now);
+  return {
+    $round: [
+      {
+        $add: Object.keys(criteria).map((criterion) => ({
+          $multiply: [weights[criterion], criteria[criterion]],
+        })),
+      },
+      4,
+    ],
+  };
+};
+
+// The cursor keeps the ids of the users already shown and the date used to compute the first page.
+// The pages aren't cut at a position in the ranking: the activity and the likes of the candidates
+// change between two pages and would move them above that position, they would never be shown.
+// Each page is the top of the ranking without the users already shown, so nobody is skipped or shown twice
+const CURSOR_MAX_SHOWN_IDS = 1000;
+
+const encodeCursor = (cursor) =>
+  Buffer.from(JSON.stringify(cursor)).toString("base64");
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64").toString());
+    if (
+      !Array.isArray(decoded.shownIds) ||
+      !decoded.shownIds.every((id) => mongoose.isValidObjectId(id)) ||
+      !decoded.now
+    ) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Builds the aggregation returning a page of the recommended users, ranked by compatibility score.
+// When our user has a location, $geoNear computes the distances and applies the max distance,
+// everything else is filtered in the same stage so MongoDB only returns the users we want
+const buildRecommendationPipeline = (user, filter, { now, limit, strict }) => {
+  const pipeline = [];
+  const coordinates = user.location?.point?.coordinates;
+
+  if (coordinates?.length === 2) {
+    const geoNear = {
+      near: { type: "Point", coordinates },
+      key: "location.point",
+      distanceField: "distance",
+      spherical: true,
+      query: filter,
+    };
+    if (user.search?.maxDistance > 0) {
+      geoNear.maxDistance = user.search.maxDistance * 1000;
+    }
+    pipeline.push({ $geoNear: geoNear });
+    // Distances are shown in km to the front
+    pipeline.push({
+      $addFields: {
+        distance: { $round: [{ $divide: ["$distance", 1000] }, 1] },
+      },
+    });
+  } else {
+    pipeline.push({ $match: filter });
+  }
+
+  pipeline.push(
+    // Our user must also be within the max distance of the candidates
+    { $match: { $expr: mutualDistanceExpression(strict) } },
+    { $addFields: { score: buildScoreExpression(user, now) } },
+    { $project: hiddenFields },
+    // The id breaks the ties so the order is always the same
+    { $sort: { score: -1, _id: 1 } }
+  );
+
+  pipeline.push(
+    // One more than needed to know if there is a next page
+    { $limit: limit + 1 },
+    {
+      $lookup: {
+        from: "users",
+        localField: "myRelationships",
+        foreignField: "_id",
+        as: "myRelationships",
+      },
+    },
+    { $project: relationshipsHiddenFields }
+  );
+
+  return pipeline;
+};
+
+// Shows the partners of a candidate in the same card: a partner already shown in a previous card
+// of the page is removed from the list
+const groupCandidates = (candidates) => {
+  const shownIds = new Set();
+  return candidates.reduce((cards, candidate) => {
+    if (shownIds.has(candidate._id.toString())) {
+      return cards;
+    }
+    const partners = candidate.myRelationships || [];
+    shownIds.add(candidate._id.toString());
+    partners.forEach((partner) => shownIds.add(partner._id.toString()));
+
+    cards.push({
+      ...candidate,
+      isGroup: partners.length > 0,
+      groupSize: partners.length + 1,
+    });
+    return cards;
+  }, []);
+};
+
+// Returns a page of recommendations and the cursor of the next one
+const getRecommendations = async (
+  user,
+  { cursor, limit, mode = "lenient", groupCards = false } = {}
+) => {
+  if (!mutualModes.includes(mode)) {
+    throw new Error(`Mode must be one of: ${mutualModes.join(", ")}`);
+  }
+  const strict = mode === "strict";
+
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || PAGE_DEFAULT_LIMIT, 1),
+    PAGE_MAX_LIMIT
+  );
+
+  let decodedCursor = null;
+  if (cursor) {
+    decodedCursor = decodeCursor(cursor);
+    if (!decodedCursor) {
+      throw new Error("Invalid cursor");
+    }
+  }
+  const now = decodedCursor ? new Date(decodedCursor.now) : new Date();
+
+  // The users shown in the previous pages are excluded like the ones our user already swiped.
+  // Past CURSOR_MAX_SHOWN_IDS the oldest ones are forgotten, most of them were swiped anyway
+  const shownIds = decodedCursor ? decodedCursor.shownIds : [];
+  const excludedUserIds = [
+    ...(await getExcludedUserIds(user)),
+    ...shownIds.map((id) => new mongoose.Types.ObjectId(id)),
+  ];
+  // Candidates must fit the search settings of our user, and our user must fit theirs
+  const filter = {
+    ...buildCandidateFilter(user, excludedUserIds),
+    ...buildMutualFilter(user, strict),
+  };
+  const candidates = await User.aggregate(
+    buildRecommendationPipeline(user, filter, {
+      now,
+      limit: pageSize,
+      strict,
+    })
+  );
+
+  const hasMore = candidates.length > pageSize;
+  const page = candidates.slice(0, pageSize);
+
+  return {
+    recommendedUsers: groupCards ? groupCandidates(page) : page,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeCursor({
+          shownIds: [
+            ...shownIds,
+            ...page.map((candidate) => candidate._id.toString()),
+          ].slice(-CURSOR_MAX_SHOWN_IDS),
+          now: now.toISOString(),
+        })
+      : null,
+  };
+};
+
+module.exports = { getRecommendations, birthdateRange };
@@ -0,0 +1,122 @@
+const haversine = require("haversine");
+const { differenceInYears } = require("date-fns");
+const { getActivity } = require("./presence");
+
+// Every user sent to the front goes through serializeUser, with one of these views:
+// - "self": the user's own profile, everything but the secrets
+// - "match": someone the user matched or is linked with, the public profile with the presence details
+// - "public": anyone else (recommendations, likes, search), with an age and an approximate distance
+//   instead of the birthdate and the location
+const views = ["self", "match", "public"];
+
+// Never sent, even to the user themselves
+const secretFields = [
+  "password",
+  "token",
+  "passwordReset",
+  "emailVerification",
+  "__v",
+];
+
+const publicFields = [
+  "_id",
+  "name",
+  "gender",
+  "sexuality",
+  "relationshipStatus",
+  "occupation",
+  "description",
+  "pictures",
+];
+
+const matchFields = [...publicFields, "imaginaryName", "isOnline", "lastSeen"];
+
+// Fields to select or populate so serializeUser can build the public and match views
+const serializedUserFields = [
+  ...matchFields,
+  "birthdate",
+  "location",
+  "myRelationships",
+].join(" ");
+
+const pick = (object, fields) =>
+  fields.reduce((picked, field) => {
+    if (object[field] !== undefined) {
+      picked[field] = object[field];
+    }
+    return picked;
+  }, {});
+
+const getAge = (birthdate) =>
+  birthdate ? differenceInYears(new Date(), new Date(birthdate)) : undefined;
+
+// The exact distance would allow to find where someone lives by moving around them,
+// so it is rounded: to the km under 10 km, to 5 km above
+const approximateDistance = (km) => {
+  if (typeof km !== "number" || Number.isNaN(km)) {
+    return undefined;
+  }
+  if (km < 10) {
+    return Math.max(1, Math.round(km));
+  }
+  return Math.round(km / 5) * 5;
+};
+
+// Distance in km between the viewer and the user, when both have a location
+const getDistance = (user, viewer) => {
+  // The recommendations compute it in MongoDB
+  if (typeof user.distance === "number") {
+    return user.distance;
+  }
+  const [longitude, latitude] = user.location?.point?.coordinates || [];
+  const [viewerLongitude, viewerLatitude] =
+    viewer?.location?.point?.coordinates || [];
+  if (longitude === undefined || viewerLongitude === undefined) {
+    return undefined;
+  }
+  return haversine(
+    { latitude: viewerLatitude, longitude: viewerLongitude },
+    { latitude, longitude },
+    { unit: "km" }
+  );
+};
+
+const isPopulated = (value) => value && typeof value === "object" && value.name;
+
+// Returns what the front is allowed to see of a user. viewer is the user who receives it,
+// it is used to compute the distance
+const serializeUser = (user, { view = "public", viewer } = {}) => {
+  if (!user) {
+    return user;
+  }
+  if (!views.includes(view)) {
+    throw new Error(`Unknown user view "${view}"`);
+  }
+  const userObject = user.toObject ? user.toObject() : user;
+
+  if (view === "self") {
+    const self = { ...userObject, age: getAge(userObject.birthdate) };
+    secretFields.forEach((field) => delete self[field]);
+    return self;
+  }
+
+  const serialized = pick(
+    userObject,
+    view === "match" ? matchFields : publicFields
+  );
+  serialized.age = getAge(userObject.birthdate);
+  serialized.city = userObject.location?.city;
+  serialized.distance = approximateDistance(getDistance(userObject, viewer));
+  serialized.activity = getActivity(userObject);
+
+  // The partners are shown with the same view when they were populated
+  const partners = userObject.myRelationships;
+  if (Array.isArray(partners) && partners.every(isPopulated)) {
+    serialized.myRelationships = partners.map((partner) =>
+      serializeUser(partner, { view, viewer })
+    );
+  }
+  return serialized;
+};
+
+module.exports = { serializeUser, serializedUserFields };
@@ -0,0 +1,207 @@
+const {
+  getClientMessageId,
+  createMessage,
+  broadcastMessage,
+  markRead,
+  findMatchForMember,
+} = require("./messages");
+const User = require("../models/User");
+const { authenticateToken } = require("./auth");
+const { isEmailVerified } = require("./emailVerification");
+const { consumeSocketLimit } = require("./rateLimit");
+const {
+  userRoom,
+  userConnected,
+  userDisconnected,
+  resetPresence,
+} = require("./presence");
+
+// Authenticates the socket handshake with the user token sent by the front
+// and attaches the user identity to the socket so every handler can trust it.
+// The token is only read from the auth payload, the handshake url is written in the logs
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token;
+    const { user, session, error } = await authenticateToken(token);
+    if (error) {
+      return next(new Error(error));
+    }
+
+    socket.data.userId = user._id.toString();
+    socket.data.sessionId = session._id.toString();
+    socket.data.name = user.name;
+    socket.data.emailVerified = isEmailVerified(user);
+    next();
+  } catch (error) {
+    next(new Error(error.message));
+  }
+};
+
+const initSocket = (server) => {
+  const io = require("socket.io")(server);
+
+  io.use(authenticateSocket);
+
+  resetPresence().catch((error) => console.error(error.message));
+
+  io.on("connection", function (socket) {
+    console.log(`⚡: ${socket.id} (user ${socket.data.userId}) just connected!`);
+
+    // The personal room receives the notifications meant for the user on all their devices
+    socket.join(userRoom(socket.data.userId));
+    userConnected(io, socket).catch((error) => console.error(error.message));
+
+    socket.on("joinRoom", async (matchId) => {
+      try {
+        // Only the members of a match are allowed in its room
+        const match = await findMatchForMember(matchId, socket.data.userId);
+        if (!match) {
+          return socket.emit("joinRoomError", {
+            matchId,
+            message: "You are not a member of this match",
+          });
+        }
+
+        const roomId = match._id.toString();
+        socket.join(roomId);
+        socket.emit("roomJoined", { matchId: roomId });
+        console.log(`❤️: ${socket.id} joined room ${roomId}`);
+      } catch (error) {
+        socket.emit("joinRoomError", { matchId, message: error.message });
+      }
+    });
+
+    socket.on("messageSend", async function (data, ack) {
+      // The sender gets an ack with the stored message, or an error
+      const reply = (response) => {
+        if (typeof ack === "function") {
+          ack(response);
+        } else if (!response.result) {
+          socket.emit("messageError", response);
+        }
+      };
+
+      // A socket can only talk in a room it was allowed to join
+      const matchId = data?.matchId;
+      if (!matchId || !socket.rooms.has(matchId)) {
+        return reply({
+          result: false,
+          matchId,
+          message: "You have not joined this match room",
+        });
+      }
+
+      try {
+        // Same limit as the /action/newMessage route, see modules/rateLimit.js
+        const retryAfter = await consumeSocketLimit("message", socket);
+        if (retryAfter > 0) {
+          return reply({
+            result: false,
+            matchId,
+            message: `Too many messages, please retry in ${retryAfter} seconds`,
+            retryAfter,
+          });
+        }
+
+        // The email may have been confirmed since the socket connected
+        if (!socket.data.emailVerified) {
+          const user = await User.findById(socket.data.userId).select(
+            "emailVerified"
+          );
+          socket.data.emailVerified = !!user && isEmailVerified(user);
+        }
+        if (!socket.data.emailVerified) {
+          return reply({
+            result: false,
+            matchId,
+            message: "Please confirm your email address first",
+          });
+        }
+
+        // The front used to send { matchId, messageData: { content } }, we still accept it
+        const { message: savedMessage, created } = await createMessage({
+          matchId,
+          senderId: socket.data.userId,
+          content: data.content ?? data.messageData?.content,
+          clientMessageId: getClientMessageId(data.messageData || data),
+        });
+
+        // Emit the messageReceived event to the other users in the matchId room,
+        // unless the message was already sent through /action/newMessage
+        if (created) {
+          broadcastMessage(io, savedMessage, socket);
+        }
+        reply({ result: true, messageId: savedMessage._id, savedMessage });
+      } catch (error) {
+        reply({ result: false, matchId, message: error.message });
+      }
+    });
+
+    // Typing indicators are only relayed to the other members of a joined room
+    ["typing", "stopTyping"].forEach((eventName) => {
+      socket.on(eventName, (data) => {
+        const matchId = data?.matchId;
+        if (!matchId || !socket.rooms.has(matchId)) {
+          return;
+        }
+        socket
+          .to(matchId)
+          .emit(eventName, { matchId, userId: socket.data.userId });
+      });
+    });
+
+    socket.on("markRead", async (data, ack) => {
+      try {
+        const readMarker = await markRead({
+          matchId: data?.matchId,
+          userId: socket.data.userId,
+        });
+
+        // We let the other participant know their messages have been seen
+        socket
+          .to(readMarker.matchId.toString())
+          .emit("messagesRead", readMarker);
+        if (typeof ack === "function") {
+          ack({ result: true, readMarker });
+        }
+      } catch (error) {
+        if (typeof ack === "function") {
+          ack({ result: false, message: error.message });
+        }
+      }
+    });
+
+    socket.on("disconnect", () => {
+      userDisconnected(io, socket);
+      console.log(`⚠️: user ${socket.data.userId} disconnected`);
+    });
+  });
+
+  return io;
+};
+
+// Closes every socket opened by a user, used when their account is suspended or banned
+const disconnectUser = (io, userId) => {
+  io.in(userRoom(userId)).disconnectSockets(true);
+};
+
+// Closes the sockets of one session of a user (logout), or of all the sessions but one (logout other devices)
+const disconnectSessions = async (
+  io,
+  userId,
+  { sessionId, exceptSessionId }
+) => {
+  if (!io) {
+    return;
+  }
+  const sockets = await io.in(userRoom(userId)).fetchSockets();
+  sockets
+    .filter((socket) =>
+      sessionId
+        ? socket.data.sessionId === sessionId.toString()
+        : socket.data.sessionId !== exceptSessionId.toString()
+    )
+    .forEach((socket) => socket.disconnect(true));
+};
+
+module.exports = { initSocket, disconnectUser, disconnectSessions };
@@ -0,0 +1,46 @@
+// Pictures stored on cloudinary
+const cloudinary = require("cloudinary").v2;
+require("dotenv").config();
+
+//cloudinary config
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const FOLDER = "Serenade";
+
+// Uploads an image held in memory, returns its key (the cloudinary public id) and url
+const upload = async ({ data, mimetype }) => {
+  //How to upload a file to cloudinary, see cloudinary documentation
+  const image = await cloudinary.uploader.upload(
+    `data:${mimetype};base64,${data.toString("base64")}`,
+    {
+      resource_type: "image",
+      quality: "auto",
+      fetch_format: "auto",
+      folder: FOLDER,
+    }
+  );
+  return { key: image.public_id, url: image.secure_url };
+};
+
+// Returns true if the picture was destroyed
+const remove = async (key) => {
+  const response = await cloudinary.uploader.destroy(key, {
+    resource_type: "image",
+  });
+  return response.result === "ok";
+};
+
+const getUrl = (key) =>
+  cloudinary.url(key, { secure: true, resource_type: "image" });
+
+// Cloudinary urls look like .../upload/v1234/Serenade/abcd.jpg, the key is "Serenade/abcd"
+const getKeyFromUrl = (url) => {
+  const match = url.match(/\/upload\/(?:v\d+\/)?(.+?)(?:\.[a-z0-9]+)?$/i);
+  return match ? match[1] : null;
+};
+
+module.exports = { name: "cloudinary", upload, remove, getUrl, getKeyFromUrl };
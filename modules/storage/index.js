@@ -0,0 +1,100 @@
+const { processPicture } = require("../imageProcessing");
+
+// Where the pictures of the users are stored. The driver is chosen with STORAGE_DRIVER:
+// "cloudinary" (default) or "local" to work offline
+const drivers = {
+  cloudinary: () => require("./cloudinary"),
+  local: () => require("./local"),
+};
+
+let driver;
+const getDriver = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || "cloudinary";
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver "${name}"`);
+    }
+    driver = drivers[name]();
+  }
+  return driver;
+};
+
+// Checks, cleans and uploads one picture received by express-fileupload
+const uploadUserPicture = async (file) => {
+  const { display, thumbnail } = await processPicture(file);
+
+  const storage = getDriver();
+  const displayFile = await storage.upload(display);
+  let thumbnailFile;
+  try {
+    thumbnailFile = await storage.upload(thumbnail);
+  } catch (error) {
+    await deleteFile(displayFile.url);
+    throw error;
+  }
+
+  return {
+    url: displayFile.url,
+    thumbnailUrl: thumbnailFile.url,
+    width: display.width,
+    height: display.height,
+  };
+};
+
+// Uploads the pictures one by one so each failure can be reported with its file.
+// Returns the pictures in the order of the files, and the errors
+const uploadUserPictures = async (files) => {
+  const uploaded = [];
+  const errors = [];
+
+  for (const file of files) {
+    try {
+      uploaded.push(await uploadUserPicture(file));
+    } catch (error) {
+      errors.push({ file: file.name, message: error.message });
+    }
+  }
+
+  return { pictures: uploaded, errors };
+};
+
+// Failures are logged, a file left in the storage must not block the caller
+const deleteFile = async (url) => {
+  const storage = getDriver();
+  const key = url && storage.getKeyFromUrl(url);
+  if (!key) {
+    return false;
+  }
+  try {
+    return await storage.remove(key);
+  } catch (error) {
+    console.log(`Picture not deleted from ${storage.name}: ${error.message}`);
+    return false;
+  }
+};
+
+// Deletes both variants of a picture of a user, returns true if the display variant was deleted.
+// Pictures saved before the variants existed are just an url
+const deleteUserPicture = async (picture) => {
+  if (typeof picture === "string") {
+    return deleteFile(picture);
+  }
+  const [destroyed] = await Promise.all([
+    deleteFile(picture.url),
+    deleteFile(picture.thumbnailUrl),
+  ]);
+  return destroyed;
+};
+
+// Deletes the pictures uploaded by a request that failed afterwards
+const deleteUserPictures = (pictures) =>
+  Promise.all(pictures.map((picture) => deleteUserPicture(picture)));
+
+const getPictureUrl = (key) => getDriver().getUrl(key);
+
+module.exports = {
+  uploadUserPictures,
+  deleteUserPicture,
+  deleteUserPictures,
+  getPictureUrl,
+};
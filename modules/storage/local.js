@@ -0,0 +1,46 @@
+// Pictures stored on the disk of the server, in public/ so express serves them.
+// Meant for development and tests, it works without any network access
+const fs = require("fs");
+const path = require("path");
+const uniqid = require("uniqid");
+
+const URL_PATH = "/uploads/pictures";
+const DIRECTORY = path.join(__dirname, "../../public", URL_PATH);
+
+const extensions = {
+  "image/jpeg": ".jpg",
+  "image/jpg": ".jpg",
+  "image/png": ".png",
+};
+
+// Writes an image held in memory, returns its key (the file name) and url
+const upload = async ({ data, mimetype }) => {
+  await fs.promises.mkdir(DIRECTORY, { recursive: true });
+
+  const key = `${uniqid()}${extensions[mimetype] || ".jpg"}`;
+  await fs.promises.writeFile(path.join(DIRECTORY, key), data);
+  return { key, url: getUrl(key) };
+};
+
+// Returns true if the file was deleted
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(path.join(DIRECTORY, path.basename(key)));
+    return true;
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// PUBLIC_URL is the address of the backend as seen by the front, e.g. http://192.168.1.10:3000
+const getUrl = (key) => `${process.env.PUBLIC_URL || ""}${URL_PATH}/${key}`;
+
+const getKeyFromUrl = (url) => {
+  const match = url.match(/\/uploads\/pictures\/([^/?#]+)$/);
+  return match ? match[1] : null;
+};
+
+module.exports = { name: "local", upload, remove, getUrl, getKeyFromUrl };
@@ -0,0 +1,186 @@
+const User = require("../models/User");
+const Swipe = require("../models/Swipe");
+const JointLike = require("../models/JointLike");
+const { findMatchBetween } = require("./matches");
+const { serializedUserFields } = require("./serializeUser");
+
+// How long after a like or a dislike it can be rewound
+const REWIND_WINDOW_SECONDS =
+  parseInt(process.env.REWIND_WINDOW_SECONDS, 10) || 5 * 60;
+// When set, the dislikes older than this are forgotten and the users come back in the recommendations.
+// The dislikes given before the swipes were recorded have no date and never expire
+const DISLIKE_EXPIRY_DAYS = parseFloat(process.env.DISLIKE_EXPIRY_DAYS) || 0;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HISTORY_DEFAULT_LIMIT = 20;
+const HISTORY_MAX_LIMIT = 100;
+
+// List of the user holding each type of swipe
+const swipeLists = { like: "myLikes", dislike: "myDislikes" };
+
+// Dates the last like or dislike of a user on another one
+const recordSwipe = async (
+  userId,
+  targetId,
+  type,
+  { removedIncomingLike = false } = {}
+) => {
+  const filter = { user: userId, target: targetId };
+  const update = { type, createdAt: new Date(), removedIncomingLike };
+  try {
+    await Swipe.updateOne(filter, update, { upsert: true });
+  } catch (error) {
+    // Two swipes at the same time can both try to insert, the second one updates the first
+    if (error.code !== 11000) {
+      throw error;
+    }
+    await Swipe.updateOne(filter, update);
+  }
+};
+
+// Removes a like given by a user, on both sides. Returns false if there was nothing to remove
+const withdrawLike = async (userId, targetId) => {
+  const { modifiedCount } = await User.updateOne(
+    { _id: userId, myLikes: targetId },
+    { $pull: { myLikes: targetId } }
+  );
+  await User.updateOne({ _id: targetId }, { $pull: { whoLikesMe: userId } });
+  // The approval given to a joint like of the group is withdrawn too
+  const approvals = await JointLike.updateMany(
+    { likedUser: targetId, approvals: userId, status: "pending" },
+    { $pull: { approvals: userId } }
+  );
+  await Swipe.deleteOne({ user: userId, target: targetId, type: "like" });
+  return modifiedCount === 1 || approvals.modifiedCount > 0;
+};
+
+// Removes a dislike given by a user. Returns false if there was nothing to remove
+const withdrawDislike = async (userId, targetId) => {
+  const { modifiedCount } = await User.updateOne(
+    { _id: userId },
+    { $pull: { myDislikes: targetId } }
+  );
+  await Swipe.deleteOne({ user: userId, target: targetId, type: "dislike" });
+  return modifiedCount === 1;
+};
+
+// Gives back the like of the target removed by a dislike of the user, unless the target
+// disliked the user since then or they matched in another way
+const restoreIncomingLike = async (userId, targetId) => {
+  const targetSwipe = await Swipe.findOne({ user: targetId, target: userId });
+  if (targetSwipe?.type === "dislike") {
+    return;
+  }
+  if (await findMatchBetween(userId, targetId)) {
+    return;
+  }
+  await User.updateOne({ _id: targetId }, { $addToSet: { myLikes: userId } });
+  await User.updateOne(
+    { _id: userId },
+    { $addToSet: { whoLikesMe: targetId } }
+  );
+};
+
+// Undoes the most recent like or dislike of the user, if it is recent enough.
+// Returns the rewound swipe, or an error message
+const rewindLastSwipe = async (userId) => {
+  const swipe = await Swipe.findOne({
+    user: userId,
+    createdAt: { $gte: new Date(Date.now() - REWIND_WINDOW_SECONDS * 1000) },
+  }).sort({ createdAt: -1 });
+  if (!swipe) {
+    return { error: "Nothing to rewind" };
+  }
+
+  if (swipe.type === "like") {
+    if (await findMatchBetween(userId, swipe.target)) {
+      return { error: "This like already gave a match, unmatch instead" };
+    }
+    await withdrawLike(userId, swipe.target);
+  } else {
+    await withdrawDislike(userId, swipe.target);
+    // The dislike had removed the like the target gave us, the rewind puts it back
+    if (swipe.removedIncomingLike) {
+      await restoreIncomingLike(userId, swipe.target);
+    }
+  }
+  return { swipe };
+};
+
+// A page of the likes or dislikes of a user, the most recent first,
+// with the users and the date of each swipe when it is known
+const getSwipeHistory = async (userId, type, { page, limit } = {}) => {
+  const pageSize = Math.min(
+    Math.max(parseInt(limit, 10) || HISTORY_DEFAULT_LIMIT, 1),
+    HISTORY_MAX_LIMIT
+  );
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+  // The ids are added at the end of the lists, so they are already in the order of the swipes
+  const user = await User.findById(userId).select(swipeLists[type]);
+  const targetIds = [...(user?.[swipeLists[type]] || [])].reverse();
+  const pageIds = targetIds.slice(
+    (pageNumber - 1) * pageSize,
+    pageNumber * pageSize
+  );
+
+  const targets = await User.find({ _id: { $in: pageIds } }).select(
+    serializedUserFields
+  );
+  const swipes = await Swipe.find({
+    user: userId,
+    target: { $in: pageIds },
+    type,
+  });
+
+  const entries = pageIds
+    .map((targetId) => ({
+      user: targets.find((target) => target._id.equals(targetId)),
+      swipedAt:
+        swipes.find((swipe) => swipe.target.equals(targetId))?.createdAt ||
+        null,
+    }))
+    // Deleted accounts are removed from the lists, but not in the same instant
+    .filter((entry) => entry.user);
+
+  return {
+    entries,
+    page: pageNumber,
+    hasMore: targetIds.length > pageNumber * pageSize,
+    total: targetIds.length,
+  };
+};
+
+// Forgets the dislikes of a user older than DISLIKE_EXPIRY_DAYS. Returns the ids of the users they were about
+const expireDislikes = async (userId) => {
+  if (!DISLIKE_EXPIRY_DAYS) {
+    return [];
+  }
+  const expiredSwipes = await Swipe.find({
+    user: userId,
+    type: "dislike",
+    createdAt: { $lt: new Date(Date.now() - DISLIKE_EXPIRY_DAYS * DAY_MS) },
+  }).select("target");
+  if (expiredSwipes.length === 0) {
+    return [];
+  }
+
+  const expiredIds = expiredSwipes.map((swipe) => swipe.target);
+  await User.updateOne(
+    { _id: userId },
+    { $pull: { myDislikes: { $in: expiredIds } } }
+  );
+  await Swipe.deleteMany({
+    _id: { $in: expiredSwipes.map((swipe) => swipe._id) },
+  });
+  return expiredIds;
+};
+
+module.exports = {
+  recordSwipe,
+  withdrawLike,
+  withdrawDislike,
+  rewindLastSwipe,
+  getSwipeHistory,
+  expireDislikes,
+};
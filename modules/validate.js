@@ -0,0 +1,233 @@
+const mongoose = require("mongoose");
+
+// Declarative validation of the requests.
+// A schema maps every accepted field to its rules, for example
+//   { email: { type: "email", required: true }, ageMin: { type: "integer", min: 18 } }
+// Types: string, email, number, integer, boolean, date, objectId, object (with fields) and array (with items).
+// Other rules: required, enum, min, max, minLength, maxLength, pattern (with patternMessage),
+// minItems, maxItems, trim: false to keep the spaces around a string, minAge and maxAge for dates, and check(value, values) returning a message,
+// called with the other validated values of the same object for the rules between fields.
+// Values are coerced to their type ("42" becomes 42) and the fields missing from the schema are dropped.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+// Converts a value to the type of its rule. Returns undefined when it can't be converted
+const coercers = {
+  string: (value, rule) => {
+    if (typeof value !== "string" && typeof value !== "number") {
+      return undefined;
+    }
+    return rule.trim === false ? String(value) : String(value).trim();
+  },
+  email: (value) => {
+    const email = coercers.string(value, {});
+    return email && EMAIL_PATTERN.test(email) ? email : undefined;
+  },
+  number: (value) => {
+    const number = typeof value === "string" ? Number(value) : value;
+    return typeof number === "number" && Number.isFinite(number)
+      ? number
+      : undefined;
+  },
+  integer: (value) => {
+    const number = coercers.number(value);
+    return Number.isInteger(number) ? number : undefined;
+  },
+  boolean: (value) => {
+    if (typeof value === "boolean") {
+      return value;
+    }
+    if (value === "true" || value === 1 || value === "1") {
+      return true;
+    }
+    if (value === "false" || value === 0 || value === "0") {
+      return false;
+    }
+    return undefined;
+  },
+  date: (value) => {
+    if (typeof value !== "string" && typeof value !== "number") {
+      return value instanceof Date && !isNaN(value) ? value : undefined;
+    }
+    const date = new Date(value);
+    return isNaN(date) ? undefined : date;
+  },
+  objectId: (value) =>
+    typeof value === "string" && mongoose.isValidObjectId(value)
+      ? value
+      : undefined,
+  object: (value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? value
+      : undefined,
+  array: (value) => (Array.isArray(value) ? value : undefined),
+};
+
+const typeMessages = {
+  string: "must be a text",
+  email: "must be a valid email address",
+  number: "must be a number",
+  integer: "must be a whole number",
+  boolean: "must be true or false",
+  date: "must be a valid date",
+  objectId: "must be a valid id",
+  object: "must be an object",
+  array: "must be a list",
+};
+
+// Age in full years at the given date
+const getAge = (birthdate, now = new Date()) => {
+  const age = now.getFullYear() - birthdate.getFullYear();
+  const birthdayPassed =
+    now.getMonth() > birthdate.getMonth() ||
+    (now.getMonth() === birthdate.getMonth() &&
+      now.getDate() >= birthdate.getDate());
+  return birthdayPassed ? age : age - 1;
+};
+
+// Returns the message of the first rule the value breaks, or null
+const checkRules = (value, rule) => {
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of: ${rule.enum.join(", ")}`;
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return `must be at least ${rule.min}`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `must be at most ${rule.max}`;
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return `must be at least ${rule.minLength} characters long`;
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `must be at most ${rule.maxLength} characters long`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return rule.patternMessage || "has an invalid format";
+  }
+  if (rule.minItems !== undefined && value.length < rule.minItems) {
+    return `must contain at least ${rule.minItems} items`;
+  }
+  if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+    return `must contain at most ${rule.maxItems} items`;
+  }
+  if (rule.type === "date") {
+    if (value.getTime() > Date.now() && (rule.minAge || rule.maxAge)) {
+      return "can't be in the future";
+    }
+    if (rule.minAge !== undefined && getAge(value) < rule.minAge) {
+      return `must be the birthdate of someone at least ${rule.minAge} years old`;
+    }
+    if (
+      rule.maxAge !== undefined &&
+      Date.now() - value.getTime() > rule.maxAge * YEAR_MS
+    ) {
+      return `must be at most ${rule.maxAge} years ago`;
+    }
+  }
+  return null;
+};
+
+// Validates one value, pushing its errors. Returns the coerced value
+const validateValue = (value, rule, field, errors) => {
+  if (isEmpty(value)) {
+    if (rule.required) {
+      errors.push({ field, message: `${field} is required` });
+    }
+    return undefined;
+  }
+
+  const coerced = coercers[rule.type || "string"](value, rule);
+  if (coerced === undefined) {
+    errors.push({
+      field,
+      message: `${field} ${typeMessages[rule.type || "string"]}`,
+    });
+    return undefined;
+  }
+
+  let result = coerced;
+  if (rule.type === "object" && rule.fields) {
+    result = validateFields(coerced, rule.fields, errors, `${field}.`);
+  }
+  if (rule.type === "array" && rule.items) {
+    result = coerced.map((item, index) =>
+      validateValue(item, rule.items, `${field}[${index}]`, errors)
+    );
+  }
+
+  const message = checkRules(result, rule);
+  if (message) {
+    errors.push({ field, message: `${field} ${message}` });
+    return undefined;
+  }
+  return result;
+};
+
+const validateFields = (input, fields, errors, prefix = "") => {
+  const values = {};
+  const source = input || {};
+  for (const [name, rule] of Object.entries(fields)) {
+    const field = `${prefix}${name}`;
+    const value = validateValue(source[name], rule, field, errors);
+    if (value !== undefined) {
+      values[name] = value;
+    }
+  }
+
+  // The rules between fields run once every field has its final value
+  for (const [name, rule] of Object.entries(fields)) {
+    if (!rule.check || values[name] === undefined) {
+      continue;
+    }
+    const message = rule.check(values[name], values);
+    if (message) {
+      const field = `${prefix}${name}`;
+      errors.push({ field, message: `${field} ${message}` });
+      delete values[name];
+    }
+  }
+  return values;
+};
+
+// Validates an object against a schema, returns the coerced values and the list of errors
+const validate = (input, schema) => {
+  const errors = [];
+  const values = validateFields(input, schema, errors);
+  return { values, errors };
+};
+
+// Express middleware validating the body and/or the query of a request.
+// The request keeps only the validated values, so the route can trust them
+const validateRequest =
+  ({ body, query }) =>
+  (req, res, next) => {
+    const errors = [];
+    const validated = {};
+    if (body) {
+      validated.body = validateFields(req.body, body, errors);
+    }
+    if (query) {
+      validated.query = validateFields(req.query, query, errors);
+    }
+
+    if (errors.length > 0) {
+      return res
+        .status(400)
+        .json({ result: false, message: errors[0].message, errors });
+    }
+
+    Object.assign(req, validated);
+    next();
+  };
+
+// Regular expression matching the whole value without case, its special characters taken literally.
+// The values searched this way must be validated first, see the patterns of modules/validationFields.js
+const exactMatchRegExp = (value) =>
+  new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}$`, "i");
+
+module.exports = { validate, validateRequest, exactMatchRegExp };
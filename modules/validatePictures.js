@@ -1,5 +1,21 @@
-// Here is a types of files that we accept
-const goodPicturesFormats = ["image/jpeg", "image/png", "image/jpg"];
+// Here is a types of files that we accept, recognized by the first bytes of their content
+const pictureSignatures = [
+  { mimetype: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  {
+    mimetype: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+];
+
+// Largest file accepted by the upload, in bytes
+const maxPictureSize =
+  (parseFloat(process.env.MAX_PICTURE_SIZE_MB) || 10) * 1024 * 1024;
+
+// A profile can't have more pictures than this
+const maxPictures = parseInt(process.env.MAX_USER_PICTURES, 10) || 6;
+
+// express-fileupload gives a single file when only one was sent, and an array otherwise
+const toPicturesArray = (pictures) => (pictures ? [].concat(pictures) : []);
 
 // Validates the uploaded pictures
 const isAnArrayOfPictures = (pictures) => {
@@ -10,15 +26,42 @@ const isAnArrayOfPictures = (pictures) => {
   return true;
 };
 
+// Validates the number of pictures of a profile
+const isWithinPicturesLimit = (pictures) => pictures.length <= maxPictures;
+
+// Validates the size of the pictures. app.js aborts the uploads over the limit,
+// express-fileupload would only truncate the files without abortOnLimit
+const isWithinPictureSizeLimit = (pictures) =>
+  pictures.every((picture) => !picture.truncated);
+
+// Returns the real type of a file from its content, or null if it isn't a supported image.
+// The mimetype sent by the client can't be trusted
+const detectImageType = (data) => {
+  if (!Buffer.isBuffer(data)) {
+    return null;
+  }
+  const signature = pictureSignatures.find(({ bytes }) =>
+    bytes.every((byte, index) => data[index] === byte)
+  );
+  return signature ? signature.mimetype : null;
+};
+
 // Validates the picture formats
 const validatePictureFormats = (pictures) => {
   //if we have got a file that isn't an image we return false
-  if (
-    !pictures.every((picture) => goodPicturesFormats.includes(picture.mimetype))
-  ) {
+  if (!pictures.every((picture) => detectImageType(picture.data))) {
     return false;
   }
   return true;
 };
 
-module.exports = { isAnArrayOfPictures, validatePictureFormats };
+module.exports = {
+  maxPictures,
+  maxPictureSize,
+  toPicturesArray,
+  isAnArrayOfPictures,
+  isWithinPicturesLimit,
+  isWithinPictureSizeLimit,
+  detectImageType,
+  validatePictureFormats,
+};
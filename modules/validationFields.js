@@ -0,0 +1,98 @@
+// Rules shared by the request schemas of several routes, see modules/validate.js
+
+const genders = ["Man", "Woman", "Non-binary", "Other"];
+const sexualities = [
+  "Straight",
+  "Gay",
+  "Lesbian",
+  "Bisexual",
+  "Pansexual",
+  "Asexual",
+  "Other",
+];
+const relationshipStatuses = [
+  "Single",
+  "In a relationship",
+  "Married",
+  "Open relationship",
+  "It's complicated",
+];
+
+const MIN_AGE = 18;
+const MAX_AGE = 120;
+
+const email = { type: "email", required: true, maxLength: 254 };
+// For a new password. The current passwords are only required, they were set before these rules
+const password = {
+  type: "string",
+  required: true,
+  trim: false,
+  minLength: 8,
+  maxLength: 128,
+};
+const currentPassword = { type: "string", required: true, trim: false };
+
+const birthdate = { type: "date", minAge: MIN_AGE, maxAge: MAX_AGE };
+
+const location = {
+  type: "object",
+  fields: {
+    city: { type: "string", maxLength: 100 },
+    latitude: { type: "number", required: true, min: -90, max: 90 },
+    longitude: { type: "number", required: true, min: -180, max: 180 },
+  },
+};
+
+const search = {
+  type: "object",
+  fields: {
+    maxDistance: { type: "number", min: 1, max: 20000 },
+    ageMin: { type: "integer", min: MIN_AGE, max: MAX_AGE },
+    ageMax: {
+      type: "integer",
+      min: MIN_AGE,
+      max: MAX_AGE,
+      check: (ageMax, { ageMin }) =>
+        ageMin !== undefined && ageMax < ageMin
+          ? "must be greater than or equal to ageMin"
+          : null,
+    },
+    genderLiked: { type: "string", enum: genders },
+    sexualityLiked: { type: "string", enum: sexualities },
+  },
+};
+
+// The device a session is opened for, see modules/auth.js
+const device = {
+  deviceId: { type: "string", maxLength: 100 },
+  deviceName: { type: "string", maxLength: 100 },
+};
+
+// The name partners use to find each other
+const imaginaryName = {
+  type: "string",
+  required: true,
+  minLength: 3,
+  maxLength: 30,
+  pattern: /^[\p{L}\p{N}_.-]+$/u,
+  patternMessage: "can only contain letters, numbers, dots, - and _",
+};
+
+const page = { type: "integer", min: 1 };
+const limit = { type: "integer", min: 1, max: 100 };
+
+module.exports = {
+  genders,
+  sexualities,
+  relationshipStatuses,
+  email,
+  password,
+  currentPassword,
+  birthdate,
+  location,
+  search,
+  device,
+  imaginaryName,
+  page,
+  limit,
+};
@@ -2,88 +2,232 @@ const express = require("express");
 const router = express.Router();
 const User = require("../models/User");
 const Match = require("../models/Match");
+const Message = require("../models/Message");
+const Report = require("../models/Report");
+const mongoose = require("mongoose");
+const { isBlockedBetween, blockUser } = require("../modules/blocking");
+const { getAccountRestriction } = require("../modules/accountStatus");
+const { isMatchMember, closeMatch } = require("../modules/matches");
+const {
+  likeUser,
+  jointLikeUser,
+  removeLikesBetween,
+} = require("../modules/likes");
+const JointLike = require("../models/JointLike");
+const { notifyUser } = require("../modules/notify");
+const { authenticate } = require("../modules/auth");
+const { validateRequest } = require("../modules/validate");
+const fields = require("../modules/validationFields");
+const {
+  serializeUser,
+  serializedUserFields,
+} = require("../modules/serializeUser");
+const { requireVerifiedEmail } = require("../modules/emailVerification");
+const { rateLimit } = require("../modules/rateLimit");
+const {
+  recordSwipe,
+  withdrawLike,
+  withdrawDislike,
+  rewindLastSwipe,
+  getSwipeHistory,
+} = require("../modules/swipes");
+const {
+  getClientMessageId,
+  createMessage,
+  broadcastMessage,
+  markRead,
+  findMatchForMember,
+} = require("../modules/messages");
 
-router.post("/like", async (req, res) => {
+router.use(authenticate);
+
+// Limits against like and message spam, see modules/rateLimit.js
+const likeLimit = rateLimit("like");
+const messageLimit = rateLimit("message");
+
+// The schemas of the request bodies, see modules/validate.js.
+// The other users are designated by their id, their token is a secret of their sessions
+const userIdField = { type: "objectId", required: true };
+const validateUserId = (name) =>
+  validateRequest({ body: { [name]: userIdField } });
+const matchIdField = { type: "objectId", required: true };
+
+const validateLike = validateUserId("likedUserId");
+const validateDislike = validateUserId("dislikedUserId");
+const validateBlock = validateUserId("blockedUserId");
+const validateSwipeRemove = validateUserId("userId");
+
+const validateSwipeHistory = validateRequest({
+  body: { page: fields.page, limit: fields.limit },
+});
+
+const validateJointLike = validateRequest({
+  body: { jointLikeId: { type: "objectId", required: true } },
+});
+
+const validateMatch = validateRequest({ body: { matchId: matchIdField } });
+
+const validateNewMessage = validateRequest({
+  body: {
+    matchId: matchIdField,
+    messageData: {
+      type: "object",
+      required: true,
+      // The length is checked with the socket messages, see modules/messages.js
+      fields: {
+        content: { type: "string", required: true, trim: false },
+        // The message sent on the socket too is only stored once, see getClientMessageId
+        clientMessageId: { type: "string", maxLength: 100 },
+        date: { type: "date" },
+      },
+    },
+  },
+});
+
+const validateReport = validateRequest({
+  body: {
+    reportedUserId: userIdField,
+    reason: {
+      type: "string",
+      required: true,
+      enum: Report.schema.path("reason").enumValues,
+    },
+    details: { type: "string", maxLength: 1000 },
+    matchId: { type: "objectId" },
+    messageId: { type: "objectId" },
+    block: { type: "boolean" },
+  },
+});
+
+// The limit is checked first so the spam doesn't reach the database
+const likeChecks = [likeLimit, requireVerifiedEmail, validateLike];
+
+router.post("/like", likeChecks, async (req, res) => {
   try {
-    const { userToken, likedUserToken } = req.body;
+    const { likedUserId } = req.body;
 
-    const user = await User.findOne({ token: userToken });
-    if (!user) {
-      return res.status(400).json({ result: false, message: "User not found" });
-    }
+    const user = req.user;
 
-    const likedUser = await User.findOne({ token: likedUserToken });
+    const likedUser = await User.findById(likedUserId);
     if (!likedUser) {
       return res
         .status(400)
         .json({ result: false, message: "Liked user not found" });
     }
 
-    const existingMatch = await Match.findOne({
-      $or: [
-        { user: user._id, userLiked: likedUser._id },
-        { user: likedUser._id, userLiked: user._id },
-      ],
-    });
+    if (user._id.equals(likedUser._id)) {
+      return res
+        .status(400)
+        .json({ result: false, message: "You cannot like yourself" });
+    }
 
-    if (existingMatch) {
-      // Match already exists, handle accordingly
+    // Nobody can like someone they blocked or who blocked them,
+    // and the banned or suspended accounts are hidden as if they didn't exist
+    if (isBlockedBetween(user, likedUser) || getAccountRestriction(likedUser)) {
       return res
         .status(400)
-        .json({ result: false, message: "Match already exists" });
+        .json({ result: false, message: "Liked user not found" });
     }
 
-    if (user.whoLikesMe.includes(likedUser._id)) {
-      // Remove user from likes list and who likes me list
-      user.whoLikesMe = user.whoLikesMe.filter(
-        (id) => id.toString() !== likedUser._id.toString()
-      );
-      likedUser.myLikes = likedUser.myLikes.filter(
-        (id) => id.toString() !== user._id.toString()
-      );
+    const io = req.app.get("io");
 
-      const newMatch = new Match({
-        user: user._id,
-        userLiked: likedUser._id,
-      });
+    // In joint mode the like waits for the approval of every partner of the group
+    if (user.jointLiking && user.myRelationships.length > 0) {
+      const jointResult = await jointLikeUser({ io, user, likedUser });
+      if (jointResult.pending) {
+        return res.status(200).json({
+          result: true,
+          message: "Waiting for your partners' approval",
+          ...jointResult,
+        });
+      }
+      if (jointResult.isAMatch) {
+        return res
+          .status(200)
+          .json({ isAMatch: true, matchData: jointResult.matchData });
+      }
+      return res.status(200).json({ result: true, message: "Like done" });
+    }
 
-      const matchData = await newMatch.save();
+    const { isAMatch, matchData } = await likeUser({ io, user, likedUser });
+    if (isAMatch) {
+      return res.status(200).json({ isAMatch: true, matchData });
+    }
 
-      // Populate the user and userLiked properties in the matchData
-      const populatedMatchData = await Match.populate(matchData, [
-        { path: "user", select: "name pictures token" },
-        { path: "userLiked", select: "name pictures token" },
-      ]);
+    return res.status(200).json({ result: true, message: "Like done" });
+  } catch (error) {
+    return res.status(400).json({ result: false, message: error.message });
+  }
+});
+
+// Joint likes of the user's group waiting for approvals.
+// A partner approves one by liking the same user
+router.post("/jointLikes", async (req, res) => {
+  try {
+    const user = req.user;
+
+    const jointLikes = await JointLike.find({
+      members: user._id,
+      status: "pending",
+    })
+      .sort({ createdAt: -1 })
+      .populate({ path: "likedUser", select: serializedUserFields })
+      .populate({ path: "initiator", select: "name" });
+
+    return res.status(200).json({
+      result: true,
+      jointLikes: jointLikes.map((jointLike) => ({
+        ...jointLike.toObject(),
+        likedUser: serializeUser(jointLike.likedUser, { viewer: user }),
+      })),
+    });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/jointLikes/decline", validateJointLike, async (req, res) => {
+  try {
+    const { jointLikeId } = req.body;
 
-      await user.save();
-      await likedUser.save();
+    const user = req.user;
 
+    const jointLike = mongoose.isValidObjectId(jointLikeId)
+      ? await JointLike.findOneAndUpdate(
+          { _id: jointLikeId, members: user._id, status: "pending" },
+          { status: "declined" },
+          { new: true }
+        )
+      : null;
+    if (!jointLike) {
       return res
-        .status(200)
-        .json({ isAMatch: true, matchData: populatedMatchData });
+        .status(400)
+        .json({ result: false, message: "Joint like not found" });
     }
 
-    user.myLikes.addToSet(likedUser._id);
-    likedUser.whoLikesMe.addToSet(user._id);
-
-    await user.save();
-    await likedUser.save();
+    jointLike.members
+      .filter((memberId) => !memberId.equals(user._id))
+      .forEach((memberId) =>
+        notifyUser(req.app.get("io"), memberId, "jointLikeDeclined", {
+          jointLikeId: jointLike._id,
+          declinedBy: { _id: user._id, name: user.name },
+        })
+      );
 
-    return res.status(200).json({ result: true, message: "Like done" });
+    return res
+      .status(200)
+      .json({ result: true, message: "Joint like declined" });
   } catch (error) {
-    return res.status(400).json({ result: false, message: error.message });
+    return res.status(500).json({ result: false, message: error.message });
   }
 });
 
-router.post("/dislike", async (req, res) => {
+router.post("/dislike", validateDislike, async (req, res) => {
   try {
-    const { userToken, dislikedUserToken } = req.body;
+    const { dislikedUserId } = req.body;
 
-    const user = await User.findOne({ token: userToken });
-    if (!user) {
-      return res.status(400).json({ result: false, message: "User not found" });
-    }
-    const dislikedUser = await User.findOne({ token: dislikedUserToken });
+    const user = req.user;
+    const dislikedUser = await User.findById(dislikedUserId);
 
     if (!dislikedUser) {
       return res
@@ -91,6 +235,11 @@ router.post("/dislike", async (req, res) => {
         .json({ result: false, message: "DisLiked user not found" });
     }
 
+    // Kept on the swipe so a rewind can give the like back
+    const removedIncomingLike = dislikedUser.myLikes.some((id) =>
+      id.equals(user._id)
+    );
+
     const updateUserDislikes = await User.updateOne(
       { _id: user._id },
       {
@@ -106,40 +255,307 @@ router.post("/dislike", async (req, res) => {
       });
     }
 
+    // The pending likes between the two users are removed, so a like given before can't turn into a match
+    await removeLikesBetween([user._id], dislikedUser._id);
+    await recordSwipe(user._id, dislikedUser._id, "dislike", {
+      removedIncomingLike,
+    });
+
     return res.status(200).json({ result: true, message: "Dislike done" });
   } catch (error) {
     return res.status(400).json({ result: false, message: error.message });
   }
 });
 
-router.post("/newMessage", async (req, res) => {
+// Undoes the last like or dislike of the user, see REWIND_WINDOW_SECONDS in modules/swipes.js.
+// The user is sent back so the front can show their card again
+router.post("/rewind", async (req, res) => {
   try {
-    const { matchId, messageData } = req.body;
+    const user = req.user;
 
-    const user = await User.findOne({ token: messageData.sender });
+    const { swipe, error } = await rewindLastSwipe(user._id);
+    if (error) {
+      return res.status(400).json({ result: false, message: error });
+    }
+
+    const rewoundUser = await User.findById(swipe.target).select(
+      serializedUserFields
+    );
+    return res.status(200).json({
+      result: true,
+      message: swipe.type === "like" ? "Like rewound" : "Dislike rewound",
+      type: swipe.type,
+      user: serializeUser(rewoundUser, { viewer: user }),
+    });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
 
-    if (!user) {
-      return res.status(400).json({ result: false, message: "User not found" });
+// Pages of the likes and dislikes given by the user, the most recent first
+const swipeHistory = (type) => async (req, res) => {
+  try {
+    const { page, limit } = req.body;
+    const user = req.user;
+
+    const { entries, ...pagination } = await getSwipeHistory(user._id, type, {
+      page,
+      limit,
+    });
+
+    return res.status(200).json({
+      result: true,
+      history: entries.map((entry) => ({
+        user: serializeUser(entry.user, { viewer: user }),
+        swipedAt: entry.swipedAt,
+      })),
+      ...pagination,
+    });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+};
+
+router.post("/likes", validateSwipeHistory, swipeHistory("like"));
+router.post("/dislikes", validateSwipeHistory, swipeHistory("dislike"));
+
+// Removes one like or dislike of the history, the user comes back in the recommendations
+const removeSwipe = (type) => async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const user = req.user;
+
+    const removed =
+      type === "like"
+        ? await withdrawLike(user._id, userId)
+        : await withdrawDislike(user._id, userId);
+    if (!removed) {
+      return res.status(400).json({
+        result: false,
+        message: type === "like" ? "Like not found" : "Dislike not found",
+      });
     }
 
-    const match = await Match.findById(matchId);
+    return res.status(200).json({
+      result: true,
+      message: type === "like" ? "Like removed" : "Dislike removed",
+    });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+};
+
+router.post("/likes/remove", validateSwipeRemove, removeSwipe("like"));
+router.post("/dislikes/remove", validateSwipeRemove, removeSwipe("dislike"));
+
+router.post(
+  "/newMessage",
+  messageLimit,
+  requireVerifiedEmail,
+  validateNewMessage,
+  async (req, res) => {
+    try {
+      const { matchId, messageData } = req.body;
+      const user = req.user;
+
+      // Same pipeline as the socket messageSend event: the server sets the date and the sender id
+      const { message: savedMessage, created } = await createMessage({
+        matchId,
+        senderId: user._id,
+        content: messageData.content,
+        clientMessageId: getClientMessageId(messageData),
+      });
+
+      const io = req.app.get("io");
+      if (io && created) {
+        broadcastMessage(io, savedMessage);
+      }
 
+      return res
+        .status(200)
+        .json({ result: true, messageId: savedMessage._id, savedMessage });
+    } catch (error) {
+      return res.status(400).json({ result: false, message: error.message });
+    }
+  }
+);
+
+router.post("/markRead", validateMatch, async (req, res) => {
+  try {
+    const { matchId } = req.body;
+
+    const user = req.user;
+
+    const readMarker = await markRead({ matchId, userId: user._id });
+
+    // We notify the other participant that their messages have been seen
+    const io = req.app.get("io");
+    if (io) {
+      io.to(readMarker.matchId.toString()).emit("messagesRead", readMarker);
+    }
+
+    return res.status(200).json({ result: true, readMarker });
+  } catch (error) {
+    return res.status(400).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/unmatch", validateMatch, async (req, res) => {
+  try {
+    const { matchId } = req.body;
+
+    const user = req.user;
+
+    const match = await findMatchForMember(matchId, user._id);
     if (!match) {
       return res
         .status(400)
         .json({ result: false, message: "Match not found" });
     }
 
-    // Créer un nouveau message avec l'auteur correspondant au token de l'utilisateur
-    const newMessage = {
-      sender: messageData.sender,
-      content: messageData.content,
-      date: messageData.date,
-    };
+    await closeMatch({ io: req.app.get("io"), match, closedBy: user._id });
+
+    return res.status(200).json({ result: true, message: "Unmatch done" });
+  } catch (error) {
+    return res.status(400).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/block", validateBlock, async (req, res) => {
+  try {
+    const { blockedUserId } = req.body;
+
+    const user = req.user;
+
+    const blockedUser = await User.findById(blockedUserId);
+    if (!blockedUser) {
+      return res
+        .status(400)
+        .json({ result: false, message: "Blocked user not found" });
+    }
+
+    if (user._id.equals(blockedUser._id)) {
+      return res
+        .status(400)
+        .json({ result: false, message: "You cannot block yourself" });
+    }
+
+    await blockUser({ io: req.app.get("io"), user, blockedUser });
+
+    return res.status(200).json({ result: true, message: "User blocked" });
+  } catch (error) {
+    return res.status(400).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/unblock", validateBlock, async (req, res) => {
+  try {
+    const { blockedUserId } = req.body;
+
+    const user = req.user;
+
+    const blockedUser = await User.findById(blockedUserId);
+    if (!blockedUser) {
+      return res
+        .status(400)
+        .json({ result: false, message: "Blocked user not found" });
+    }
+
+    const updatedUser = await User.updateOne(
+      { _id: user._id },
+      { $pull: { blockedUsers: blockedUser._id } }
+    );
+
+    if (updatedUser.modifiedCount !== 1) {
+      return res
+        .status(400)
+        .json({ result: false, message: "User is not blocked" });
+    }
+
+    return res.status(200).json({ result: true, message: "User unblocked" });
+  } catch (error) {
+    return res.status(400).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/report", validateReport, async (req, res) => {
+  try {
+    const { reportedUserId, reason, details, matchId, messageId, block } =
+      req.body;
+
+    const user = req.user;
+
+    const reportedUser = await User.findById(reportedUserId);
+    if (!reportedUser) {
+      return res
+        .status(400)
+        .json({ result: false, message: "Reported user not found" });
+    }
+
+    if (user._id.equals(reportedUser._id)) {
+      return res
+        .status(400)
+        .json({ result: false, message: "You cannot report yourself" });
+    }
+
+    // The evidence must come from a conversation between the two users
+    let match = null;
+    if (matchId) {
+      match = mongoose.isValidObjectId(matchId)
+        ? await Match.findById(matchId)
+        : null;
+      if (
+        !match ||
+        !isMatchMember(match, user._id) ||
+        !isMatchMember(match, reportedUser._id)
+      ) {
+        return res
+          .status(400)
+          .json({ result: false, message: "Match not found" });
+      }
+    }
+
+    let message = null;
+    if (messageId) {
+      message = mongoose.isValidObjectId(messageId)
+        ? await Message.findById(messageId)
+        : null;
+      const messageMatch =
+        message && (match || (await Match.findById(message.match)));
+      if (
+        !messageMatch ||
+        !message.match.equals(messageMatch._id) ||
+        !message.sender.equals(reportedUser._id) ||
+        !isMatchMember(messageMatch, user._id)
+      ) {
+        return res
+          .status(400)
+          .json({ result: false, message: "Message not found" });
+      }
+      match = messageMatch;
+    }
+
+    const report = await Report.create({
+      reporter: user._id,
+      reportedUser: reportedUser._id,
+      reason,
+      details,
+      match: match?._id,
+      message: message?._id,
+    });
+
+    // The reporter can also block the reported user in the same action
+    if (block) {
+      await blockUser({
+        io: req.app.get("io"),
+        user,
+        blockedUser: reportedUser,
+      });
+    }
 
-    match.messages.push(newMessage);
-    const savedMessage = await match.save();
-    return res.status(200).json({ result: true, savedMessage });
+    return res
+      .status(200)
+      .json({ result: true, message: "Report sent", reportId: report._id });
   } catch (error) {
     return res.status(400).json({ result: false, message: error.message });
   }
@@ -0,0 +1,383 @@
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Match = require("../models/Match");
+const Message = require("../models/Message");
+const Report = require("../models/Report");
+const AuditLog = require("../models/AuditLog");
+const { deleteUserPicture } = require("../modules/storage");
+const { disconnectUser } = require("../modules/socket");
+const { authenticate, revokeSessions } = require("../modules/auth");
+const { validateRequest } = require("../modules/validate");
+const fields = require("../modules/validationFields");
+
+const PAGE_SIZE = 20;
+
+// Only moderators and admins can use this router, some routes are restricted to admins
+const requireRole =
+  (...roles) =>
+  (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ result: false, message: "Access denied" });
+    }
+    req.admin = req.user;
+    next();
+  };
+
+// Writes an admin action in the audit log
+const logAdminAction = (req, action, fields = {}) => {
+  return AuditLog.create({ admin: req.admin._id, action, ...fields });
+};
+
+// Finds the user targeted by an admin action
+const findTargetUser = (targetUserId) => {
+  if (!mongoose.isValidObjectId(targetUserId)) {
+    return null;
+  }
+  return User.findById(targetUserId);
+};
+
+// Moderators can only act on the accounts of the users, the back-office accounts
+// (their own included) are only handled by the admins
+const canModerate = (req, user) =>
+  req.admin.role === "admin"
+    ? !user._id.equals(req.admin._id)
+    : user.role === "user";
+
+// Suspended and banned users lose all their sessions so their tokens stop working everywhere,
+// and their open sockets are closed
+const revokeAccess = async (req, user) => {
+  await user.save();
+  await revokeSessions(user._id);
+
+  const io = req.app.get("io");
+  if (io) {
+    disconnectUser(io, user._id);
+  }
+};
+
+router.use(authenticate, requireRole("moderator", "admin"));
+const adminOnly = requireRole("admin");
+
+// The schemas of the request bodies, see modules/validate.js
+const reportStatusField = {
+  type: "string",
+  enum: Report.schema.path("status").enumValues,
+};
+const reportIdField = { type: "objectId", required: true };
+const targetUserIdField = { type: "objectId", required: true };
+const reasonField = { type: "string", maxLength: 1000 };
+
+const validateReports = validateRequest({
+  body: { status: reportStatusField, page: fields.page },
+});
+
+const validateReportUpdate = validateRequest({
+  body: {
+    reportId: reportIdField,
+    status: { ...reportStatusField, required: true },
+    moderatorNote: { type: "string", maxLength: 1000 },
+  },
+});
+
+const validateSuspend = validateRequest({
+  body: {
+    targetUserId: targetUserIdField,
+    days: { type: "integer", required: true, min: 1, max: 3650 },
+    reason: reasonField,
+  },
+});
+
+const validateTarget = validateRequest({
+  body: { targetUserId: targetUserIdField, reason: reasonField },
+});
+
+const validatePictureRemove = validateRequest({
+  body: {
+    targetUserId: targetUserIdField,
+    pictureId: { type: "objectId" },
+    pictureUrl: { type: "string" },
+    reason: reasonField,
+  },
+});
+
+const validateReport = validateRequest({ body: { reportId: reportIdField } });
+
+const validateAuditLogs = validateRequest({
+  body: { targetUserId: { type: "objectId" }, page: fields.page },
+});
+
+router.post("/reports", validateReports, async (req, res) => {
+  try {
+    const { status, page } = req.body;
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+    const filter = status ? { status } : {};
+    const reports = await Report.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * PAGE_SIZE)
+      .limit(PAGE_SIZE)
+      .populate({ path: "reporter", select: "name imaginaryName email" })
+      .populate({
+        path: "reportedUser",
+        select: "name imaginaryName email accountStatus",
+      })
+      .populate({ path: "message", select: "content date sender" });
+    const total = await Report.countDocuments(filter);
+
+    return res
+      .status(200)
+      .json({ result: true, total, page: pageNumber, reports });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/reports/update", validateReportUpdate, async (req, res) => {
+  try {
+    const { reportId, status, moderatorNote } = req.body;
+
+    const report = mongoose.isValidObjectId(reportId)
+      ? await Report.findById(reportId)
+      : null;
+    if (!report) {
+      return res
+        .status(400)
+        .json({ result: false, message: "Report not found" });
+    }
+
+    const previousStatus = report.status;
+    report.status = status;
+    if (moderatorNote) {
+      report.moderatorNote = moderatorNote;
+    }
+    report.handledBy = req.admin._id;
+    report.handledAt = new Date();
+    await report.save();
+
+    await logAdminAction(req, "report.update", {
+      report: report._id,
+      targetUser: report.reportedUser,
+      details: { previousStatus, status, moderatorNote },
+    });
+
+    return res.status(200).json({ result: true, report });
+  } catch (error) {
+    return res.status(400).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/users/suspend", validateSuspend, async (req, res) => {
+  try {
+    const { targetUserId, days: suspensionDays, reason } = req.body;
+
+    const user = await findTargetUser(targetUserId);
+    if (!user) {
+      return res.status(400).json({ result: false, message: "User not found" });
+    }
+    if (!canModerate(req, user)) {
+      return res.status(403).json({
+        result: false,
+        message: "You cannot suspend this account",
+      });
+    }
+    if (user.accountStatus === "banned") {
+      return res
+        .status(400)
+        .json({ result: false, message: "User is already banned" });
+    }
+
+    user.accountStatus = "suspended";
+    user.suspendedUntil = new Date(
+      Date.now() + suspensionDays * 24 * 60 * 60 * 1000
+    );
+    user.moderationReason = reason;
+    await revokeAccess(req, user);
+
+    await logAdminAction(req, "user.suspend", {
+      targetUser: user._id,
+      details: { days: suspensionDays, reason },
+    });
+
+    return res.status(200).json({
+      result: true,
+      message: "User suspended",
+      suspendedUntil: user.suspendedUntil,
+    });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+// Banning is definitive so it is restricted to admins
+router.post("/users/ban", adminOnly, validateTarget, async (req, res) => {
+  try {
+    const { targetUserId, reason } = req.body;
+
+    const user = await findTargetUser(targetUserId);
+    if (!user) {
+      return res.status(400).json({ result: false, message: "User not found" });
+    }
+    if (!canModerate(req, user)) {
+      return res
+        .status(403)
+        .json({ result: false, message: "You cannot ban this account" });
+    }
+
+    user.accountStatus = "banned";
+    user.suspendedUntil = undefined;
+    user.moderationReason = reason;
+    await revokeAccess(req, user);
+
+    await logAdminAction(req, "user.ban", {
+      targetUser: user._id,
+      details: { reason },
+    });
+
+    return res.status(200).json({ result: true, message: "User banned" });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/users/reinstate", adminOnly, validateTarget, async (req, res) => {
+  try {
+    const { targetUserId } = req.body;
+
+    const user = await findTargetUser(targetUserId);
+    if (!user) {
+      return res.status(400).json({ result: false, message: "User not found" });
+    }
+
+    const previousStatus = user.accountStatus;
+    user.accountStatus = "active";
+    user.suspendedUntil = undefined;
+    user.moderationReason = undefined;
+    await user.save();
+
+    await logAdminAction(req, "user.reinstate", {
+      targetUser: user._id,
+      details: { previousStatus },
+    });
+
+    return res.status(200).json({ result: true, message: "User reinstated" });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/pictures/remove", validatePictureRemove, async (req, res) => {
+  try {
+    const { targetUserId, pictureId, pictureUrl, reason } = req.body;
+
+    const user = await findTargetUser(targetUserId);
+    if (!user) {
+      return res.status(400).json({ result: false, message: "User not found" });
+    }
+
+    const picture = user.pictures.find(
+      (userPicture) =>
+        userPicture._id.toString() === pictureId ||
+        userPicture.url === pictureUrl
+    );
+    if (!picture) {
+      return res
+        .status(400)
+        .json({ result: false, message: "Picture not found" });
+    }
+
+    user.pictures.pull(picture._id);
+    await user.save();
+
+    // The picture is removed from the profile even if the storage fails to delete it
+    const destroyed = await deleteUserPicture(picture);
+
+    await logAdminAction(req, "picture.remove", {
+      targetUser: user._id,
+      details: { pictureUrl: picture.url, reason, destroyed },
+    });
+
+    return res
+      .status(200)
+      .json({ result: true, message: "Picture removed", destroyed });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+// Conversations can only be read when a report points to them
+router.post("/reports/conversation", validateReport, async (req, res) => {
+  try {
+    const { reportId } = req.body;
+
+    const report = mongoose.isValidObjectId(reportId)
+      ? await Report.findById(reportId)
+      : null;
+    if (!report) {
+      return res
+        .status(400)
+        .json({ result: false, message: "Report not found" });
+    }
+    if (!report.match) {
+      return res.status(400).json({
+        result: false,
+        message: "This report doesn't point to a conversation",
+      });
+    }
+
+    const match = await Match.findById(report.match)
+      .populate({ path: "user", select: "name imaginaryName" })
+      .populate({ path: "userLiked", select: "name imaginaryName" });
+    if (!match) {
+      return res
+        .status(400)
+        .json({ result: false, message: "Match not found" });
+    }
+
+    const messages = await Message.find({ match: match._id }).sort({
+      date: 1,
+      _id: 1,
+    });
+
+    await logAdminAction(req, "conversation.view", {
+      report: report._id,
+      match: match._id,
+    });
+
+    return res.status(200).json({
+      result: true,
+      match: {
+        _id: match._id,
+        user: match.user,
+        userLiked: match.userLiked,
+        status: match.status,
+      },
+      messages,
+    });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/auditLogs", adminOnly, validateAuditLogs, async (req, res) => {
+  try {
+    const { targetUserId, page } = req.body;
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+    const filter = mongoose.isValidObjectId(targetUserId)
+      ? { targetUser: targetUserId }
+      : {};
+    const auditLogs = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * PAGE_SIZE)
+      .limit(PAGE_SIZE)
+      .populate({ path: "admin", select: "name email" });
+
+    return res.status(200).json({ result: true, page: pageNumber, auditLogs });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,94 @@
 var express = require("express");
 var router = express.Router();
 const User = require("../models/User");
-const checkBody = require("../modules/checkBody");
-const uid2 = require("uid2");
 const bcrypt = require("bcrypt");
+const { getAccountRestriction } = require("../modules/accountStatus");
+const { toGeoLocation } = require("../modules/geo");
+const Session = require("../models/Session");
+const {
+  authenticate,
+  createSession,
+  refreshSession,
+  revokeSessions,
+  createPasswordResetToken,
+  consumePasswordResetToken,
+} = require("../modules/auth");
+const { disconnectUser, disconnectSessions } = require("../modules/socket");
+const { sendMail } = require("../modules/mailer");
+const { cancelAccountDeletion } = require("../modules/accountDeletion");
+const {
+  isEmailVerified,
+  getResendDelay,
+  sendVerificationCode,
+  verifyEmailCode,
+} = require("../modules/emailVerification");
+const { validateRequest, exactMatchRegExp } = require("../modules/validate");
+const {
+  rateLimit,
+  tooManyRequests,
+  getSigninLockout,
+  recordFailedSignin,
+  resetFailedSignins,
+} = require("../modules/rateLimit");
+const fields = require("../modules/validationFields");
 
-router.post("/signup", async (req, res) => {
-  try {
-    // Check if req.body is empty
-    if (!req.body) {
-      return res
-        .status(400)
-        .json({ result: false, message: "Missing user information" });
-    }
+// Limits against brute force and spam, see modules/rateLimit.js
+const signupLimit = rateLimit("signup");
+const signinLimit = rateLimit("signin");
 
+// The schemas of the request bodies, see modules/validate.js
+const validateSignup = validateRequest({
+  body: {
+    email: fields.email,
+    name: { type: "string", required: true, maxLength: 50 },
+    password: fields.password,
+    gender: { type: "string", enum: fields.genders },
+    sexuality: { type: "string", enum: fields.sexualities },
+    relationshipStatus: { type: "string", enum: fields.relationshipStatuses },
+    // Required so the 18+ rule can be checked
+    birthdate: { ...fields.birthdate, required: true },
+    location: fields.location,
+    imaginaryName: fields.imaginaryName,
+    ...fields.device,
+  },
+});
+
+const validateSignin = validateRequest({
+  body: {
+    email: fields.email,
+    password: fields.currentPassword,
+    ...fields.device,
+  },
+});
+
+const validateVerifyEmail = validateRequest({
+  body: { code: { type: "string", required: true } },
+});
+
+const validateRefresh = validateRequest({
+  body: { refreshToken: { type: "string", required: true } },
+});
+
+const validateForgotPassword = validateRequest({
+  body: { email: fields.email },
+});
+
+const validateResetPassword = validateRequest({
+  body: {
+    resetToken: { type: "string", required: true },
+    newPassword: fields.password,
+  },
+});
+
+const validateChangePassword = validateRequest({
+  body: {
+    currentPassword: fields.currentPassword,
+    newPassword: fields.password,
+  },
+});
+
+router.post("/signup", signupLimit, validateSignup, async (req, res) => {
+  try {
     // we use destructuring to get the values from the request body
     const {
       email,
@@ -27,27 +102,9 @@ router.post("/signup", async (req, res) => {
       imaginaryName,
     } = req.body;
 
-    // we use the checkBody function from the utils folder to check if all the fields we need are filled in
-    if (
-      !checkBody(
-        {
-          email,
-          name,
-          password,
-          imaginaryName,
-        },
-        ["email", "name", "password", "imaginaryName"]
-      )
-    ) {
-      return res.status(400).json({
-        result: false,
-        message: "Please fill in all fields",
-      });
-    }
-
     // Check if a user with the same email already exists
     const userAlreadyExists = await User.findOne({
-      email: { $regex: new RegExp(`^${email}$`, "i") },
+      email: exactMatchRegExp(email),
     });
     if (userAlreadyExists) {
       return res.status(400).json({
@@ -58,7 +115,7 @@ router.post("/signup", async (req, res) => {
 
     //Check if a user with the same imaginaryName already exists
     const imaginaryNameIsTaken = await User.findOne({
-      imaginaryName: { $regex: new RegExp(`^${imaginaryName}$`, "i") },
+      imaginaryName: exactMatchRegExp(imaginaryName),
     });
     if (imaginaryNameIsTaken) {
       return res.status(400).json({
@@ -79,46 +136,315 @@ router.post("/signup", async (req, res) => {
       sexuality,
       relationshipStatus,
       birthdate,
-      location,
+      location: toGeoLocation(location),
       imaginaryName,
-      token: uid2(32),
+      // The account can't like or message anyone until the email is confirmed
+      emailVerified: false,
     });
 
     const savedUser = await newUser.save();
-    return res.status(200).json({ result: true, userToken: savedUser.token });
+
+    // The account is created even if the email can't be sent, the user can ask for a new code
+    try {
+      await sendVerificationCode(savedUser);
+    } catch (error) {
+      console.error(`Verification email not sent: ${error.message}`);
+    }
+
+    // The new user is signed in on the device used for the signup
+    const tokens = await createSession(savedUser, {
+      deviceId: req.body.deviceId,
+      deviceName: req.body.deviceName,
+    });
+    return res
+      .status(200)
+      .json({ result: true, ...tokens, emailVerified: false });
   } catch (error) {
     res.status(500).json({ result: false, message: error.message });
   }
 });
 
-router.post("/signin", async (req, res) => {
-  const { email, password } = req.body;
+const signinLocked = (res, lockout) =>
+  tooManyRequests(
+    res,
+    lockout,
+    `Too many failed attempts, please retry in ${lockout} seconds`
+  );
 
-  // we use the checkBody module to check if all the fields we need are filled in
-  if (!checkBody({ email, password }, ["email", "password"])) {
-    return res
-      .status(400)
-      .json({ result: false, message: "Please fill in all fields" });
+// Answers a failed sign in, or the lockout it started, see modules/rateLimit.js
+const signinFailed = async (req, res, message) => {
+  const lockout = await recordFailedSignin(req.body.email, req.ip);
+  if (lockout > 0) {
+    return signinLocked(res, lockout);
   }
+  return res.status(400).json({ result: false, message });
+};
+
+router.post("/signin", signinLimit, validateSignin, async (req, res) => {
+  const { email, password } = req.body;
+
   try {
+    const lockout = await getSigninLockout(email, req.ip);
+    if (lockout > 0) {
+      return signinLocked(res, lockout);
+    }
+
     const user = await User.findOne({ email });
 
     if (!user) {
-      return res.status(400).json({ result: false, message: "User not found" });
+      return signinFailed(req, res, "User not found");
     }
 
     if (!bcrypt.compareSync(password, user.password)) {
+      return signinFailed(req, res, "Wrong username or password");
+    }
+    await resetFailedSignins(email, req.ip);
+
+    // Suspended and banned users can't sign in anymore
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      return res.status(403).json({ result: false, message: restriction });
+    }
+
+    // Signing in during the grace period of a deletion keeps the account
+    const deletionCancelled = await cancelAccountDeletion(user);
+
+    // A session is opened for the device, replacing its previous session if there was one
+    const tokens = await createSession(user, {
+      deviceId: req.body.deviceId,
+      deviceName: req.body.deviceName,
+    });
+    return res.status(200).json({
+      result: true,
+      ...tokens,
+      emailVerified: isEmailVerified(user),
+      deletionCancelled,
+    });
+  } catch (error) {
+    res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+router.post(
+  "/verifyEmail",
+  authenticate,
+  validateVerifyEmail,
+  async (req, res) => {
+    try {
+      const user = req.user;
+      if (isEmailVerified(user)) {
+        return res
+          .status(200)
+          .json({ result: true, message: "Email already verified" });
+      }
+
+      const error = await verifyEmailCode(user, req.body.code);
+      if (error) {
+        return res.status(400).json({ result: false, message: error });
+      }
+
+      return res.status(200).json({ result: true, message: "Email verified" });
+    } catch (error) {
+      res.status(500).json({ result: false, message: error.message });
+    }
+  }
+);
+
+// Sends a new verification code, at most once per cooldown
+router.post("/resendVerification", authenticate, async (req, res) => {
+  try {
+    const user = req.user;
+    if (isEmailVerified(user)) {
       return res
         .status(400)
-        .json({ result: false, message: "Wrong username or password" });
+        .json({ result: false, message: "Email already verified" });
     }
 
-    if (bcrypt.compareSync(password, user.password)) {
-      return res.status(200).json({ result: true, userToken: user.token });
+    const retryAfter = getResendDelay(user);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return res.status(429).json({
+        result: false,
+        message: `Please wait ${retryAfter} seconds before asking for a new code`,
+        retryAfter,
+      });
     }
+
+    await sendVerificationCode(user);
+    return res
+      .status(200)
+      .json({ result: true, message: "Verification code sent" });
   } catch (error) {
     res.status(500).json({ result: false, message: error.message });
   }
 });
 
+// Gives new tokens to a device whose user token expired
+router.post("/refresh", validateRefresh, async (req, res) => {
+  try {
+    const tokens = await refreshSession(req.body.refreshToken);
+    if (!tokens) {
+      return res
+        .status(401)
+        .json({ result: false, message: "Invalid or expired refresh token" });
+    }
+    return res.status(200).json({ result: true, ...tokens });
+  } catch (error) {
+    res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/logout", authenticate, async (req, res) => {
+  try {
+    await req.session.deleteOne();
+    await disconnectSessions(req.app.get("io"), req.user._id, {
+      sessionId: req.session._id,
+    });
+    return res.status(200).json({ result: true, message: "Logged out" });
+  } catch (error) {
+    res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+// Closes the sessions of all the other devices of the user
+router.post("/logoutOthers", authenticate, async (req, res) => {
+  try {
+    const { deletedCount } = await revokeSessions(req.user._id, {
+      exceptSessionId: req.session._id,
+    });
+    await disconnectSessions(req.app.get("io"), req.user._id, {
+      exceptSessionId: req.session._id,
+    });
+    return res.status(200).json({
+      result: true,
+      message: "Other devices logged out",
+      closedSessions: deletedCount,
+    });
+  } catch (error) {
+    res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+// Devices the user is signed in on
+router.post("/sessions", authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user._id })
+      .sort({ lastUsedAt: -1 })
+      .select("deviceId deviceName createdAt lastUsedAt expiresAt");
+
+    return res.status(200).json({
+      result: true,
+      sessions: sessions.map((session) => ({
+        ...session.toObject(),
+        current: session._id.equals(req.session._id),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+// Emails a single use reset token. The answer is the same whether the email is known or not,
+// so this route can't be used to find out who has an account
+router.post("/forgotPassword", validateForgotPassword, async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    const user = await User.findOne({ email });
+
+    if (user && user.accountStatus !== "banned") {
+      const { resetToken, expiresAt } = await createPasswordResetToken(user);
+      const resetUrl = process.env.PASSWORD_RESET_URL
+        ? `${process.env.PASSWORD_RESET_URL}?token=${resetToken}`
+        : null;
+
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: [
+          `Hello ${user.name},`,
+          "Someone asked to reset the password of your account.",
+          resetUrl
+            ? `Open this link to choose a new password: ${resetUrl}`
+            : `Use this code to choose a new password: ${resetToken}`,
+          `It can only be used once, before ${expiresAt.toISOString()}.`,
+          "If you didn't ask for it, you can ignore this email.",
+        ].join("\n\n"),
+      });
+    }
+
+    return res.status(200).json({
+      result: true,
+      message: "If this email is registered, a reset link has been sent",
+    });
+  } catch (error) {
+    res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+// Sets a new password with the token received by email. Every device is signed out
+router.post("/resetPassword", validateResetPassword, async (req, res) => {
+  const { resetToken, newPassword } = req.body;
+
+  try {
+    const user = await consumePasswordResetToken(resetToken);
+    if (!user) {
+      return res
+        .status(400)
+        .json({ result: false, message: "Invalid or expired reset token" });
+    }
+
+    user.password = bcrypt.hashSync(newPassword, 10);
+    await user.save();
+    await revokeSessions(user._id);
+
+    const io = req.app.get("io");
+    if (io) {
+      disconnectUser(io, user._id);
+    }
+
+    return res
+      .status(200)
+      .json({ result: true, message: "Password updated, please sign in" });
+  } catch (error) {
+    res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+// Changes the password of the signed in user. The other devices are signed out, this one stays signed in
+router.post(
+  "/changePassword",
+  authenticate,
+  validateChangePassword,
+  async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    try {
+      const user = req.user;
+
+      if (!bcrypt.compareSync(currentPassword, user.password)) {
+        return res
+          .status(400)
+          .json({ result: false, message: "Wrong password" });
+      }
+
+      user.password = bcrypt.hashSync(newPassword, 10);
+      // A pending reset token would still allow to set another password
+      user.passwordReset = undefined;
+      await user.save();
+
+      await revokeSessions(user._id, { exceptSessionId: req.session._id });
+      await disconnectSessions(req.app.get("io"), user._id, {
+        exceptSessionId: req.session._id,
+      });
+
+      return res
+        .status(200)
+        .json({ result: true, message: "Password updated" });
+    } catch (error) {
+      res.status(500).json({ result: false, message: error.message });
+    }
+  }
+);
+
 module.exports = router;
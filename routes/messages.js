@@ -0,0 +1,51 @@
+const express = require("express");
+const router = express.Router();
+const User = require("../models/User");
+const { getMessageHistory } = require("../modules/messages");
+const { authenticate } = require("../modules/auth");
+const { validateRequest } = require("../modules/validate");
+const fields = require("../modules/validationFields");
+
+router.use(authenticate);
+
+// The schema of the request body, see modules/validate.js
+const validateHistory = validateRequest({
+  body: {
+    matchId: { type: "objectId", required: true },
+    before: { type: "objectId" },
+    after: { type: "objectId" },
+    limit: fields.limit,
+  },
+});
+
+// Paginated history of a match conversation.
+// Send "before" with the id of the oldest message you have to load older messages,
+// or "after" with the id of the newest one to load the messages you missed
+router.post("/history", validateHistory, async (req, res) => {
+  try {
+    const { matchId, before, after, limit } = req.body;
+
+    if (before && after) {
+      return res.status(400).json({
+        result: false,
+        message: "Use either before or after, not both",
+      });
+    }
+
+    const user = req.user;
+
+    const history = await getMessageHistory({
+      matchId,
+      userId: user._id,
+      before,
+      after,
+      limit,
+    });
+
+    return res.status(200).json({ result: true, ...history });
+  } catch (error) {
+    return res.status(400).json({ result: false, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,87 +1,301 @@
 const express = require("express");
 const router = express.Router();
+const mongoose = require("mongoose");
 const User = require("../models/User");
+const PartnerInvite = require("../models/PartnerInvite");
+const { isBlockedBetween } = require("../modules/blocking");
+const { notifyUser } = require("../modules/notify");
+const { authenticate } = require("../modules/auth");
+const { validateRequest, exactMatchRegExp } = require("../modules/validate");
+const fields = require("../modules/validationFields");
+const {
+  serializeUser,
+  serializedUserFields,
+} = require("../modules/serializeUser");
 
-router.get("/search", async (req, res) => {
+router.use(authenticate);
+
+// The schemas of the requests, see modules/validate.js
+const partnerNameField = { partnerImaginaryName: fields.imaginaryName };
+const validateSearch = validateRequest({ query: partnerNameField });
+const validatePartner = validateRequest({ body: partnerNameField });
+
+const validateInvite = validateRequest({
+  body: { inviteId: { type: "objectId", required: true } },
+});
+
+const validateJointLiking = validateRequest({
+  body: { enabled: { type: "boolean", required: true } },
+});
+
+router.get("/search", validateSearch, async (req, res) => {
   const { partnerImaginaryName } = req.query;
   try {
+    const user = req.user;
+
     const userPartner = await User.findOne({
-      imaginaryName: { $regex: new RegExp(`^${partnerImaginaryName}$`, "i") },
+      imaginaryName: exactMatchRegExp(partnerImaginaryName),
     });
-    if (!userPartner) {
+    // Blocked users are hidden from the search as if they didn't exist
+    if (!userPartner || isBlockedBetween(user, userPartner)) {
       return res
         .status(400)
         .json({ result: false, message: "User partner not found" });
     }
-    return res.status(200).json({ result: true, userPartner });
+    // The user typed the imaginary name, it can be sent back with the public view
+    return res.status(200).json({
+      result: true,
+      userPartner: {
+        ...serializeUser(userPartner, { viewer: user }),
+        imaginaryName: userPartner.imaginaryName,
+      },
+    });
   } catch (error) {
     return res.status(500).json({ result: false, message: error.message });
   }
 });
 
-router.post("/add", async (req, res) => {
+const findPendingInvite = (inviteId, filter) => {
+  if (!mongoose.isValidObjectId(inviteId)) {
+    return null;
+  }
+  return PartnerInvite.findOne({ _id: inviteId, status: "pending", ...filter });
+};
+
+// "/add" is kept for the front, adding a partner now sends an invitation
+router.post(["/invite", "/add"], validatePartner, async (req, res) => {
   try {
-    const { userToken, partnerImaginaryName } = req.body;
-    const user = await User.findOne({ token: userToken });
-    if (!user) {
-      return res.status(400).json({ result: false, message: "User not found" });
-    }
+    const { partnerImaginaryName } = req.body;
+    const user = req.user;
     const userPartner = await User.findOne({
-      imaginaryName: { $regex: new RegExp(`^${partnerImaginaryName}$`, "i") },
+      imaginaryName: exactMatchRegExp(partnerImaginaryName),
     });
-    if (!userPartner) {
+    if (!userPartner || isBlockedBetween(user, userPartner)) {
       return res
         .status(400)
         .json({ result: false, message: "Partner not found" });
     }
-    if (user.myRelationships.includes(userPartner._id)) {
+
+    if (user._id.equals(userPartner._id)) {
+      return res.status(400).json({
+        result: false,
+        message: "You cannot be in relationship with yourself",
+      });
+    }
+
+    if (user.myRelationships.some((id) => id.equals(userPartner._id))) {
       return res
         .status(400)
         .json({ result: false, message: "Partner already added" });
     }
 
-    if (user.token === userPartner.token) {
+    // Only one pending invitation can exist between two users, whoever sent it
+    const pendingInvite = await PartnerInvite.findOne({
+      status: "pending",
+      $or: [
+        { from: user._id, to: userPartner._id },
+        { from: userPartner._id, to: user._id },
+      ],
+    });
+    if (pendingInvite) {
       return res.status(400).json({
         result: false,
-        message: "You cannot be in relationship with yourself",
+        message: pendingInvite.from.equals(user._id)
+          ? "Invitation already sent"
+          : "This user already invited you",
       });
     }
 
-    user.myRelationships.push(userPartner._id);
-    await user.save();
+    const invite = await PartnerInvite.create({
+      from: user._id,
+      to: userPartner._id,
+    });
+
+    notifyUser(req.app.get("io"), userPartner._id, "partnerInviteReceived", {
+      inviteId: invite._id,
+      from: {
+        _id: user._id,
+        name: user.name,
+        imaginaryName: user.imaginaryName,
+      },
+    });
 
-    return res.status(200).json({ result: true, message: "Partner added" });
+    return res.status(200).json({
+      result: true,
+      message: "Invitation sent",
+      inviteId: invite._id,
+    });
   } catch (error) {
     return res.status(500).json({ result: false, message: error.message });
   }
 });
 
-router.post("/remove", async (req, res) => {
+// Pending invitations sent and received by the user
+router.post("/invites", async (req, res) => {
   try {
-    const { userToken, partnerImaginaryName } = req.body;
-    const user = await User.findOne({ token: userToken });
-    if (!user) {
-      return res.status(400).json({ result: false, message: "User not found" });
+    const user = req.user;
+
+    const sent = await PartnerInvite.find({
+      from: user._id,
+      status: "pending",
+    })
+      .sort({ createdAt: -1 })
+      .populate({ path: "to", select: serializedUserFields });
+    const received = await PartnerInvite.find({
+      to: user._id,
+      status: "pending",
+    })
+      .sort({ createdAt: -1 })
+      .populate({ path: "from", select: serializedUserFields });
+
+    // Both sides of an invitation know the imaginary name of the other, they get the match view
+    const serializeInvite = (invite, field) => ({
+      ...invite.toObject(),
+      [field]: serializeUser(invite[field], { view: "match", viewer: user }),
+    });
+
+    return res.status(200).json({
+      result: true,
+      sent: sent.map((invite) => serializeInvite(invite, "to")),
+      received: received.map((invite) => serializeInvite(invite, "from")),
+    });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/invites/accept", validateInvite, async (req, res) => {
+  try {
+    const { inviteId } = req.body;
+    const user = req.user;
+
+    // Only the invited user can accept
+    const invite = await findPendingInvite(inviteId, { to: user._id });
+    if (!invite) {
+      return res
+        .status(400)
+        .json({ result: false, message: "Invitation not found" });
     }
+
+    invite.status = "accepted";
+    invite.respondedAt = new Date();
+    await invite.save();
+
+    // The link is added on both sides
+    await User.updateOne(
+      { _id: invite.from },
+      { $addToSet: { myRelationships: invite.to } }
+    );
+    await User.updateOne(
+      { _id: invite.to },
+      { $addToSet: { myRelationships: invite.from } }
+    );
+
+    notifyUser(req.app.get("io"), invite.from, "partnerInviteAnswered", {
+      inviteId: invite._id,
+      status: invite.status,
+    });
+
+    return res
+      .status(200)
+      .json({ result: true, message: "Invitation accepted" });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/invites/decline", validateInvite, async (req, res) => {
+  try {
+    const { inviteId } = req.body;
+    const user = req.user;
+
+    const invite = await findPendingInvite(inviteId, { to: user._id });
+    if (!invite) {
+      return res
+        .status(400)
+        .json({ result: false, message: "Invitation not found" });
+    }
+
+    invite.status = "declined";
+    invite.respondedAt = new Date();
+    await invite.save();
+
+    notifyUser(req.app.get("io"), invite.from, "partnerInviteAnswered", {
+      inviteId: invite._id,
+      status: invite.status,
+    });
+
+    return res
+      .status(200)
+      .json({ result: true, message: "Invitation declined" });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/invites/cancel", validateInvite, async (req, res) => {
+  try {
+    const { inviteId } = req.body;
+    const user = req.user;
+
+    // Only the user who sent the invitation can cancel it
+    const invite = await findPendingInvite(inviteId, { from: user._id });
+    if (!invite) {
+      return res
+        .status(400)
+        .json({ result: false, message: "Invitation not found" });
+    }
+
+    invite.status = "cancelled";
+    invite.respondedAt = new Date();
+    await invite.save();
+
+    notifyUser(req.app.get("io"), invite.to, "partnerInviteCancelled", {
+      inviteId: invite._id,
+    });
+
+    return res
+      .status(200)
+      .json({ result: true, message: "Invitation cancelled" });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+// Either partner can dissolve the link, it is removed on both sides
+router.post("/remove", validatePartner, async (req, res) => {
+  try {
+    const { partnerImaginaryName } = req.body;
+    const user = req.user;
     const userPartner = await User.findOne({
-      imaginaryName: { $regex: new RegExp(`^${partnerImaginaryName}$`, "i") },
+      imaginaryName: exactMatchRegExp(partnerImaginaryName),
     });
     if (!userPartner) {
       return res
         .status(400)
         .json({ result: false, message: "Partner not found" });
     }
-    const partnerIndex = user.myRelationships.indexOf(userPartner._id);
 
-    if (partnerIndex === -1) {
+    if (!user.myRelationships.some((id) => id.equals(userPartner._id))) {
       return res.status(400).json({
         result: false,
         message: "Non existing partner cannot be removed",
       });
     }
 
-    user.myRelationships.splice(partnerIndex, 1);
-    await user.save();
+    await User.updateOne(
+      { _id: user._id },
+      { $pull: { myRelationships: userPartner._id } }
+    );
+    await User.updateOne(
+      { _id: userPartner._id },
+      { $pull: { myRelationships: user._id } }
+    );
+
+    notifyUser(req.app.get("io"), userPartner._id, "partnerRemoved", {
+      partner: { _id: user._id, name: user.name },
+    });
+
     return res
       .status(200)
       .json({ result: true, message: "User partner removed" });
@@ -90,20 +304,45 @@ router.post("/remove", async (req, res) => {
   }
 });
 
-router.post("/all", async (req, res) => {
+// Joint liking is a setting of the whole linked group: it's applied to the user and all their partners
+router.post("/jointLiking", validateJointLiking, async (req, res) => {
   try {
-    const { userToken } = req.body;
+    const { enabled } = req.body;
+    const user = req.user;
+
+    if (user.myRelationships.length === 0) {
+      return res
+        .status(400)
+        .json({ result: false, message: "User has no partners" });
+    }
+
+    const jointLiking = enabled;
+    const groupMemberIds = [user._id, ...user.myRelationships];
+    await User.updateMany({ _id: { $in: groupMemberIds } }, { jointLiking });
+
+    user.myRelationships.forEach((partnerId) =>
+      notifyUser(req.app.get("io"), partnerId, "jointLikingChanged", {
+        jointLiking,
+        changedBy: { _id: user._id, name: user.name },
+      })
+    );
 
-    const user = await User.findOne({ token: userToken }).populate({
+    return res.status(200).json({ result: true, jointLiking });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/all", async (req, res) => {
+  try {
+    const user = await User.populate(req.user, {
       path: "myRelationships",
-      select: "_id name pictures token imaginaryName",
+      select: serializedUserFields,
     });
 
-    if (!user) {
-      return res.status(400).json({ result: false, message: "User not found" });
-    }
-
-    const userPartners = user.myRelationships;
+    const userPartners = user.myRelationships.map((partner) =>
+      serializeUser(partner, { view: "match", viewer: user })
+    );
 
     if (userPartners.length === 0) {
       return res
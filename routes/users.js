@@ -2,22 +2,105 @@ var express = require("express");
 var router = express.Router();
 const User = require("../models/User");
 const {
+  maxPictures,
+  toPicturesArray,
   isAnArrayOfPictures,
+  maxPictureSize,
+  isWithinPicturesLimit,
+  isWithinPictureSizeLimit,
   validatePictureFormats,
 } = require("../modules/validatePictures");
 
-const { uploadUserPictures } = require("../modules/cloudinary");
+const {
+  uploadUserPictures,
+  deleteUserPicture,
+  deleteUserPictures,
+} = require("../modules/storage");
 const Match = require("../models/Match");
-const haversine = require("haversine");
-const { differenceInYears } = require("date-fns");
+const { countUnread } = require("../modules/messages");
+const { getInbox } = require("../modules/inbox");
+const { getRecommendations } = require("../modules/recommendations");
+const { toGeoLocation } = require("../modules/geo");
+const { memberFilter } = require("../modules/matches");
+const {
+  serializeUser,
+  serializedUserFields,
+} = require("../modules/serializeUser");
+const { authenticate, revokeSessions } = require("../modules/auth");
+const { requestAccountDeletion } = require("../modules/accountDeletion");
+const { exportUserData } = require("../modules/dataExport");
+const { disconnectUser } = require("../modules/socket");
+const bcrypt = require("bcrypt");
+const { validateRequest } = require("../modules/validate");
+const fields = require("../modules/validationFields");
+
+router.use(authenticate);
+
+// The schemas of the request bodies, see modules/validate.js
+const validatePicture = validateRequest({
+  body: { pictureId: { type: "objectId" }, pictureUrl: { type: "string" } },
+});
+
+const validateReorderPictures = validateRequest({
+  body: {
+    pictureIds: { type: "array", items: { type: "objectId" } },
+    pictures: { type: "array", items: { type: "string" } },
+  },
+});
+
+const validateUpdateProfile = validateRequest({
+  body: {
+    birthdate: fields.birthdate,
+    gender: { type: "string", enum: fields.genders },
+    sexuality: { type: "string", enum: fields.sexualities },
+    occupation: { type: "string", maxLength: 100 },
+    description: { type: "string", maxLength: 1000 },
+  },
+});
+
+const validateSearchSettings = validateRequest({
+  body: { search: fields.search, location: fields.location },
+});
+
+const validateRecommendations = validateRequest({
+  body: {
+    cursor: { type: "string" },
+    limit: fields.limit,
+    mode: { type: "string", enum: ["lenient", "strict"] },
+    groupCards: { type: "boolean" },
+  },
+});
+
+const validateInbox = validateRequest({
+  body: { page: fields.page, limit: fields.limit },
+});
+
+const validateDeleteAccount = validateRequest({
+  body: { password: fields.currentPassword },
+});
+
+// Checks the uploaded files before anything is processed, returns an error message or null
+const checkUploadedPictures = (files) => {
+  if (!isWithinPictureSizeLimit(files)) {
+    return `Pictures can't be larger than ${maxPictureSize / 1024 / 1024} MB`;
+  }
+  // if we have got some files that wasn't image file we respond with an error message
+  if (!validatePictureFormats(files)) {
+    return "Image formats supported: JPG, PNG, JPEG";
+  }
+  return null;
+};
+
+// Pictures are found by their id, or by their url for the older fronts
+const findUserPicture = (user, { pictureId, pictureUrl }) =>
+  user.pictures.find(
+    (picture) =>
+      (pictureId && picture._id.toString() === pictureId) ||
+      (pictureUrl && picture.url === pictureUrl)
+  );
 
 router.post("/uploadPictures", async (req, res) => {
   try {
-    if (!req.body?.userToken) {
-      return res
-        .status(400)
-        .json({ result: false, message: "Missing user token" });
-    }
     // Check if req.files.userPictures exists
     if (!req.files?.userPictures) {
       return res
@@ -25,14 +108,8 @@ router.post("/uploadPictures", async (req, res) => {
         .json({ result: false, message: "Missing user pictures" });
     }
 
-    //Acces the user token from the request body and parse it to retrieve a string
-    const userToken = JSON.parse(req.body.userToken);
-
-    // we find the user in the database and return an error message if the user doesn't exist
-    const user = await User.findOne({ token: userToken });
-    if (!user) {
-      return res.status(400).json({ result: false, message: "User not found" });
-    }
+    // the authenticate middleware gives us the user of the token
+    const user = req.user;
 
     // we use express-fileupload (imported in App.js) to access the files passed in the request body in our frontend
     const userPictures = req.files.userPictures;
@@ -44,83 +121,266 @@ router.post("/uploadPictures", async (req, res) => {
         message: "Please upload at least 2 pictures",
       });
     }
+    if (!isWithinPicturesLimit(userPictures)) {
+      return res.status(400).json({
+        result: false,
+        message: `You can't have more than ${maxPictures} pictures`,
+      });
+    }
+
+    const uploadError = checkUploadedPictures(userPictures);
+    if (uploadError) {
+      return res.status(400).json({ result: false, message: uploadError });
+    }
+
+    // We use our storage module modules/storage to clean the pictures,
+    // create their variants and upload them
+    const { pictures, errors } = await uploadUserPictures(userPictures);
+
+    // if a picture failed we keep none of them and tell which files failed
+    if (errors.length > 0) {
+      await deleteUserPictures(pictures);
+      return res.status(400).json({
+        result: false,
+        message: "Some pictures couldn't be uploaded",
+        errors,
+      });
+    }
+
+    // otherwise we update the user pictures with the uploaded ones
+    const replacedPictures = user.pictures.toObject();
+    user.pictures = pictures;
+
+    // and finally update our user document in database
+    await user.save();
+
+    // The replaced pictures are not used anymore
+    await deleteUserPictures(replacedPictures);
+    return res.status(200).json({
+      result: true,
+      message: "Pictures uploaded",
+      pictures: user.pictures,
+    });
+  } catch (error) {
+    res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+// Adds pictures after the ones the user already has
+router.post("/pictures/add", async (req, res) => {
+  try {
+    const user = req.user;
+    const newPictures = toPicturesArray(req.files?.userPictures);
+
+    if (newPictures.length === 0) {
+      return res
+        .status(400)
+        .json({ result: false, message: "Missing user pictures" });
+    }
+    const uploadError = checkUploadedPictures(newPictures);
+    if (uploadError) {
+      return res.status(400).json({ result: false, message: uploadError });
+    }
+
+    // The rules apply to the pictures the profile will have
+    const resultingPictures = [...user.pictures, ...newPictures];
+    if (!isWithinPicturesLimit(resultingPictures)) {
+      return res.status(400).json({
+        result: false,
+        message: `You can't have more than ${maxPictures} pictures`,
+      });
+    }
+    if (!isAnArrayOfPictures(resultingPictures)) {
+      return res.status(400).json({
+        result: false,
+        message: "Please upload at least 2 pictures",
+      });
+    }
 
-    // if we have got some files that wasn't image file we respond with an error message
-    if (!validatePictureFormats(userPictures)) {
+    const { pictures, errors } = await uploadUserPictures(newPictures);
+    if (errors.length > 0) {
+      await deleteUserPictures(pictures);
       return res.status(400).json({
         result: false,
-        message: "Image formats supported: JPG, PNG, JPEG",
+        message: "Some pictures couldn't be uploaded",
+        errors,
       });
     }
 
-    // We use our cloudinary module modules/cloudinary.js
-    //to upload the user pictures to cloudinary and get the urls of the uploaded pictures
-    const userPicturesUrls = await uploadUserPictures(userPictures);
+    // $push so pictures added at the same time from another device are not lost,
+    // only while there is room for all of the new ones
+    const updatedUser = await User.findOneAndUpdate(
+      {
+        _id: user._id,
+        [`pictures.${maxPictures - pictures.length}`]: { $exists: false },
+      },
+      { $push: { pictures: { $each: pictures } } },
+      { new: true }
+    );
+    if (!updatedUser) {
+      await deleteUserPictures(pictures);
+      return res.status(400).json({
+        result: false,
+        message: `You can't have more than ${maxPictures} pictures`,
+      });
+    }
+    return res.status(200).json({
+      result: true,
+      message: "Pictures added",
+      pictures: updatedUser.pictures,
+    });
+  } catch (error) {
+    res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+// Deletes one picture of the user, the profile must keep at least 2 pictures
+router.post("/pictures/delete", validatePicture, async (req, res) => {
+  try {
+    const user = req.user;
 
-    //if an error occurs during this process we respond with an error message
-    if (!userPicturesUrls) {
+    const picture = findUserPicture(user, req.body);
+    if (!picture) {
       return res
         .status(400)
-        .json({ result: false, message: "No pictures were uploaded" });
+        .json({ result: false, message: "Picture not found" });
     }
 
-    // otherwise we update the user pictures with those urls from cloudinary
-    user.pictures = userPicturesUrls;
+    const remainingPictures = user.pictures.filter(
+      (userPicture) => userPicture !== picture
+    );
+    if (!isAnArrayOfPictures(remainingPictures)) {
+      return res.status(400).json({
+        result: false,
+        message: "Your profile must keep at least 2 pictures",
+      });
+    }
 
-    // and finally update our user document in database
+    user.pictures.pull(picture._id);
     await user.save();
-    return res.status(200).json({ result: true, message: "Pictures uploaded" });
+
+    // The picture is removed from the profile even if the storage fails to delete it
+    const destroyed = await deleteUserPicture(picture);
+
+    return res.status(200).json({
+      result: true,
+      message: "Picture deleted",
+      pictures: user.pictures,
+      destroyed,
+    });
   } catch (error) {
     res.status(500).json({ result: false, message: error.message });
   }
 });
 
-router.post("/displayProfile", async (req, res) => {
+// Sets the order of the pictures. The first one is the primary picture shown on the cards.
+// pictureIds (or pictures, the urls, for the older fronts) lists every picture in the new order
+router.post("/pictures/reorder", validateReorderPictures, async (req, res) => {
+  try {
+    const { pictureIds, pictures: pictureUrls } = req.body;
+    const user = req.user;
+
+    const order = Array.isArray(pictureIds)
+      ? pictureIds.map((pictureId) => findUserPicture(user, { pictureId }))
+      : Array.isArray(pictureUrls)
+      ? pictureUrls.map((pictureUrl) => findUserPicture(user, { pictureUrl }))
+      : [];
+
+    // The new order must contain every picture of the user exactly once
+    const isSamePictures =
+      order.length === user.pictures.length &&
+      order.every(Boolean) &&
+      new Set(order).size === order.length;
+    if (!isSamePictures) {
+      return res.status(400).json({
+        result: false,
+        message: "The new order must contain all your pictures",
+      });
+    }
+
+    user.pictures = order.map((picture) => picture.toObject());
+    await user.save();
+    return res.status(200).json({
+      result: true,
+      message: "Pictures reordered",
+      pictures: user.pictures,
+    });
+  } catch (error) {
+    res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+// Moves a picture in first position, it becomes the primary picture
+router.post("/pictures/primary", validatePicture, async (req, res) => {
   try {
-    const { userToken } = req.body;
-    // Verify token exists
-    if (!userToken) {
-      return res.status(400).json({ result: false, message: "Missing token" });
+    const user = req.user;
+
+    const picture = findUserPicture(user, req.body);
+    if (!picture) {
+      return res
+        .status(400)
+        .json({ result: false, message: "Picture not found" });
     }
 
-    //find user by token and populate people who likes him/her and their partners
-    const user = await User.findOne({ token: userToken })
+    user.pictures = [
+      picture.toObject(),
+      ...user.pictures
+        .filter((userPicture) => userPicture !== picture)
+        .map((userPicture) => userPicture.toObject()),
+    ];
+    await user.save();
+    return res.status(200).json({
+      result: true,
+      message: "Primary picture updated",
+      pictures: user.pictures,
+    });
+  } catch (error) {
+    res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+router.post("/displayProfile", async (req, res) => {
+  try {
+    //find user and populate people who likes him/her and their partners
+    const user = await User.findById(req.user._id)
       .populate({
         path: "whoLikesMe",
-        select: "-_id -password -myLikes -myDislikes -whoLikesMe",
-        populate: {
-          path: "myRelationships",
-          select: "-_id -password -myLikes -myDislikes -whoLikesMe",
-        },
+        select: serializedUserFields,
+        populate: { path: "myRelationships", select: serializedUserFields },
       })
       .populate({
         path: "myRelationships",
-        populate: {
-          path: "myRelationships",
-          select: "-_id -password -myLikes -myDislikes -whoLikesMe",
-        },
-        select: "-_id -password -myLikes -myDislikes -whoLikesMe",
+        select: serializedUserFields,
+        populate: { path: "myRelationships", select: serializedUserFields },
       })
-      .select("-_id -password -myLikes -myDislikes");
+      .select("-myLikes -myDislikes");
     // Check if user exists
     if (!user) {
       return res.status(400).json({ result: false, message: "User not found" });
     }
-    return res.status(200).json({ result: true, user });
+    // The people who like the user only get the public view, the partners the match view
+    return res.status(200).json({
+      result: true,
+      user: {
+        ...serializeUser(user, { view: "self" }),
+        whoLikesMe: user.whoLikesMe.map((likingUser) =>
+          serializeUser(likingUser, { viewer: user })
+        ),
+        myRelationships: user.myRelationships.map((partner) =>
+          serializeUser(partner, { view: "match", viewer: user })
+        ),
+      },
+    });
   } catch (error) {
     return res.status(500).json({ result: false, message: error.message });
   }
 });
 
-router.post("/updateProfile", async (req, res) => {
+router.post("/updateProfile", validateUpdateProfile, async (req, res) => {
   try {
-    const { userToken, birthdate, gender, sexuality, occupation, description } =
-      req.body;
+    const { birthdate, gender, sexuality, occupation, description } = req.body;
 
-    const user = await User.findOne({ token: userToken });
-    if (!user) {
-      return res.status(400).json({ result: false, message: "User not found" });
-    }
+    const user = req.user;
 
     const updateObject = {};
 
@@ -139,10 +399,7 @@ router.post("/updateProfile", async (req, res) => {
     if (birthdate) {
       updateObject.birthdate = birthdate;
     }
-    const updatedUser = await User.updateOne(
-      { token: userToken },
-      updateObject
-    );
+    const updatedUser = await User.updateOne({ _id: user._id }, updateObject);
 
     if (updatedUser.modifiedCount !== 1) {
       return res.status(400).json({
@@ -159,7 +416,7 @@ router.post("/updateProfile", async (req, res) => {
   }
 });
 
-router.put("/saveSearchSettings", (req, res) => {
+router.put("/saveSearchSettings", validateSearchSettings, (req, res) => {
   // Récupération des données du front sous cette forme :
   // {
   //   "search" :
@@ -175,24 +432,25 @@ router.put("/saveSearchSettings", (req, res) => {
   //   "city" : "Taverny",
   //   "latitude": 49.0254200,
   //   "longitude": 2.2169100
-  // },
-  // "userToken": "Xk7H4OJZKxWj6QGcRjAs9tBvMFQ0P3N2"
   // }
-
-  const userToken = req.body.userToken;
+  // }
+  // The user comes from the token sent in the Authorization header
 
   const updateFields = {};
   if (req.body.search) {
     updateFields.search = req.body.search;
   }
   if (req.body.location) {
-    updateFields.location = req.body.location;
+    updateFields.location = toGeoLocation(req.body.location);
   }
 
-  User.findOneAndUpdate({ token: userToken }, updateFields, { new: true })
+  User.findByIdAndUpdate(req.user._id, updateFields, { new: true })
     .then((updatedUser) => {
       if (updatedUser) {
-        return res.status(200).json({ result: true, user: updatedUser });
+        return res.status(200).json({
+          result: true,
+          user: serializeUser(updatedUser, { view: "self" }),
+        });
       } else {
         return res
           .status(404)
@@ -204,153 +462,137 @@ router.put("/saveSearchSettings", (req, res) => {
     });
 });
 
-router.post("/recommandations", async (req, res) => {
+router.post("/recommandations", validateRecommendations, async (req, res) => {
   try {
-    const userToken = req.body.userToken;
-    const user = await User.findOne({ token: userToken });
-    if (!user) {
-      return res.status(400).json({ result: false, message: "user not found" });
-    }
+    const { cursor, limit, mode, groupCards } = req.body;
+    const user = req.user;
+
+    // Candidates are filtered and ranked by compatibility in MongoDB, see modules/recommendations.js.
+    // Send back the nextCursor of a page to get the following one.
+    // The mode ("lenient" by default or "strict") tells how the search settings of the candidates are applied to our user,
+    // with groupCards a linked group is shown as one card with the partners of the candidate
+    const { recommendedUsers, hasMore, nextCursor } = await getRecommendations(
+      user,
+      { cursor, limit, mode, groupCards }
+    );
 
-    // Fetch necessary fields only using query projection
-    const allUsers = await User.find(
-      {},
-      {
-        password: 0,
-        myLikes: 0,
-        myDislikes: 0,
-        whoLikesMe: 0,
-        imaginaryName: 0,
-      }
-    ).populate("myRelationships");
+    return res.status(200).json({
+      result: true,
+      // The score and the exact distance stay on the server
+      recommendedUsers: recommendedUsers.map(
+        ({ isGroup, groupSize, ...candidate }) => ({
+          ...serializeUser(candidate, { viewer: user }),
+          isGroup,
+          groupSize,
+        })
+      ),
+      hasMore,
+      nextCursor,
+    });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
 
-    // Get the array of likes and dislikes of our user for efficient filtering
-    const userLikes = user.myLikes;
-    const userDislikes = user.myDislikes;
+router.post("/matches", async (req, res) => {
+  try {
+    // L'utilisateur actuel est retrouvé par le middleware d'authentification
+    const user = req.user;
 
+    // Matches where the user is user, userLiked, or one of the participants of a group match
     const matches = await Match.find({
-      $or: [
-        { user: user._id }, // Matches where user ID is the given ID
-        { userLiked: user._id }, // Matches where userLiked ID is the given ID
-      ],
+      status: { $ne: "closed" },
+      ...memberFilter(user._id),
     })
       .populate({
         path: "user",
-        select: "_id token",
+        select: serializedUserFields,
+        populate: { path: "myRelationships", select: serializedUserFields },
       })
       .populate({
         path: "userLiked",
-        select: "_id token",
-      });
-
-    // Other users who matched with our current user
-    const usermatches = matches
-      .map((match) => {
-        if (match.user && match.user.token !== userToken) {
-          return match.user;
-        } else if (match.userLiked && match.userLiked.token !== userToken) {
-          return match.userLiked;
-        }
-        return null; // To exclude the unmatched documents from the result
+        select: serializedUserFields,
+        populate: { path: "myRelationships", select: serializedUserFields },
       })
-      .filter(Boolean);
-
-    // Filter users based on likes and dislikes and matches of our user
-    const firstFilteredUsers = allUsers.filter((people) => {
-      return (
-        !userLikes.includes(people._id) &&
-        !userDislikes.includes(people._id) &&
-        people.token !== userToken &&
-        !usermatches.some((match) => match._id.equals(people._id))
-      );
-    });
+      .populate({ path: "participants", select: serializedUserFields });
+
+    // We add the number of messages the user hasn't read yet to each match
+    const data = await Promise.all(
+      matches.map(async (match) => ({
+        ...match.toObject(),
+        user: serializeUser(match.user, { view: "match", viewer: user }),
+        userLiked: serializeUser(match.userLiked, {
+          view: "match",
+          viewer: user,
+        }),
+        participants: match.participants.map((participant) =>
+          serializeUser(participant, { view: "match", viewer: user })
+        ),
+        unreadCount: await countUnread(match, user._id),
+      }))
+    );
 
-    if (!user.search) {
-      return res.status(200).json({
-        result: true,
-        total: firstFilteredUsers.length,
-        recommendedUsers: firstFilteredUsers,
-      });
+    res.status(200).json({ result: true, data });
+  } catch (error) {
+    return res.status(400).json({ result: false, message: error.message });
+  }
+});
+
+// Lightweight conversation list for the chat screen, sorted by most recent activity
+router.post("/inbox", validateInbox, async (req, res) => {
+  try {
+    const { page, limit } = req.body;
+
+    const user = req.user;
+
+    const inbox = await getInbox({ userId: user._id, page, limit });
+    return res.status(200).json({ result: true, ...inbox });
+  } catch (error) {
+    return res.status(500).json({ result: false, message: error.message });
+  }
+});
+
+// Deletes the account of the user after they confirmed their password.
+// With a grace period the account is hidden and signed out, signing in again before the end cancels the deletion
+router.post("/deleteAccount", validateDeleteAccount, async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = req.user;
+
+    if (!bcrypt.compareSync(password, user.password)) {
+      return res.status(400).json({ result: false, message: "Wrong password" });
     }
 
-    // Get user's location coordinates
-    const userCoordinates = {
-      latitude: user.location.latitude,
-      longitude: user.location.longitude,
-    };
-
-    // For each of the filtered users, keep only those who fit the search criteria
-    const userRecommandations = firstFilteredUsers.filter((people) => {
-      const peopleCoordinates = {
-        latitude: people.location.latitude,
-        longitude: people.location.longitude,
-      };
-
-      // Calculate the distance between the two users using haversine
-      const distanceBetweenOurTwoUsersInKm =
-        haversine(peopleCoordinates, userCoordinates, { unit: "meter" }) / 1000;
-
-      // Get the age of each user in years
-      const peopleAge = differenceInYears(
-        new Date(),
-        new Date(people.birthdate)
-      );
-
-      return (
-        peopleAge > user.search?.ageMin &&
-        peopleAge < user.search?.ageMax &&
-        distanceBetweenOurTwoUsersInKm < user.search?.maxDistance &&
-        people.gender === user.search?.genderLiked &&
-        people.sexuality === user.search?.sexualityLiked
-      );
-    });
+    const io = req.app.get("io");
+    const deletionScheduledFor = await requestAccountDeletion({ io, user });
+    if (deletionScheduledFor) {
+      await revokeSessions(user._id);
+    }
+    if (io) {
+      disconnectUser(io, user._id);
+    }
 
     return res.status(200).json({
       result: true,
-      total: userRecommandations.length,
-      recommendedUsers: userRecommandations,
+      message: deletionScheduledFor
+        ? "Your account will be deleted, sign in before the date to keep it"
+        : "Account deleted",
+      deletionScheduledFor,
     });
   } catch (error) {
     return res.status(500).json({ result: false, message: error.message });
   }
 });
 
-router.post("/matches", async (req, res) => {
+// Downloads everything we store about the user as a JSON file
+router.get("/exportData", async (req, res) => {
   try {
-    const { userToken } = req.body;
-
-    // Recherche l'utilisateur actuel en utilisant le token
-    const user = await User.findOne({ token: userToken });
+    const archive = await exportUserData(req.user._id);
 
-    if (!user) {
-      return res.status(400).json({ result: false, message: "User not found" });
-    }
-
-    const matches = await Match.find({
-      $or: [
-        { user: user._id }, // Matches where user ID is the given ID
-        { userLiked: user._id }, // Matches where userLiked ID is the given ID
-      ],
-    })
-      .populate({
-        path: "user",
-        select: "-_id -password -myLikes -myDislikes -whoLikesMe",
-        populate: {
-          path: "myRelationships",
-          select: "-_id -password -myLikes -myDislikes -whoLikesMe",
-        },
-      })
-      .populate({
-        path: "userLiked",
-        select: "-_id -password -myLikes -myDislikes -whoLikesMe",
-        populate: {
-          path: "myRelationships",
-          select: "-_id -password -myLikes -myDislikes -whoLikesMe",
-        },
-      });
-    res.status(200).json({ result: true, data: matches });
+    res.attachment(`serenade-data-${req.user._id}.json`);
+    return res.status(200).send(JSON.stringify(archive, null, 2));
   } catch (error) {
-    return res.status(400).json({ result: false, message: error.message });
+    return res.status(500).json({ result: false, message: error.message });
   }
 });
 
@@ -0,0 +1,51 @@
+// Converts the latitude/longitude of the users location to a GeoJSON point
+// and builds the 2dsphere index used by the recommendations.
+// Usage: npm run migrate:locations
+require("dotenv").config();
+require("../models/connection");
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { toGeoLocation } = require("../modules/geo");
+
+const migrate = async () => {
+  await mongoose.connection.asPromise();
+
+  // The old fields aren't in the User schema anymore so we read the raw documents
+  const cursor = User.collection.find(
+    { "location.latitude": { $exists: true } },
+    { projection: { location: 1 } }
+  );
+
+  let migrated = 0;
+  let withoutCoordinates = 0;
+
+  for await (const user of cursor) {
+    const { point } = toGeoLocation(user.location);
+
+    const update = {
+      $unset: { "location.latitude": "", "location.longitude": "" },
+    };
+    if (point) {
+      update.$set = { "location.point": point };
+      migrated++;
+    } else {
+      withoutCoordinates++;
+    }
+
+    await User.collection.updateOne({ _id: user._id }, update);
+  }
+
+  await User.createIndexes();
+
+  console.log(
+    `${migrated} locations migrated (${withoutCoordinates} without valid coordinates)`
+  );
+};
+
+migrate()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
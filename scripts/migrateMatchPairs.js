@@ -0,0 +1,73 @@
+// Sets the pair key of the matches created before it existed and builds its unique index.
+// The duplicate matches of a pair (created by two likes at the same time) are merged into one:
+// the active match is kept, or the oldest one, and the messages and reports of the others are moved to it.
+// Usage: npm run migrate:matches
+require("dotenv").config();
+require("../models/connection");
+
+const mongoose = require("mongoose");
+const Match = require("../models/Match");
+const Message = require("../models/Message");
+const Report = require("../models/Report");
+const { getPairKey } = require("../modules/matches");
+
+const migrate = async () => {
+  await mongoose.connection.asPromise();
+
+  const cursor = Match.find({ pairKey: { $exists: false } })
+    .select("user userLiked")
+    .cursor();
+
+  let migrated = 0;
+  let merged = 0;
+
+  for await (const match of cursor) {
+    // A match merged into another one of its pair earlier in the loop is already gone
+    const isPending = await Match.exists({
+      _id: match._id,
+      pairKey: { $exists: false },
+    });
+    if (!isPending || !match.user || !match.userLiked) {
+      continue;
+    }
+    const pairKey = getPairKey(match.user, match.userLiked);
+
+    const pairMatches = await Match.find({
+      $or: [
+        { pairKey },
+        { user: match.user, userLiked: match.userLiked },
+        { user: match.userLiked, userLiked: match.user },
+      ],
+    }).sort({ createdAt: 1 });
+
+    const kept =
+      pairMatches.find((pairMatch) => pairMatch.status === "active") ||
+      pairMatches[0];
+    const duplicates = pairMatches.filter((pairMatch) => pairMatch !== kept);
+
+    for (const duplicate of duplicates) {
+      await Message.updateMany({ match: duplicate._id }, { match: kept._id });
+      await Report.updateMany({ match: duplicate._id }, { match: kept._id });
+      await Match.deleteOne({ _id: duplicate._id });
+      merged++;
+    }
+    // The conversation list is sorted by the last message of the merged conversations
+    const lastMessageAt = pairMatches
+      .map((pairMatch) => pairMatch.lastMessageAt)
+      .filter(Boolean)
+      .sort((a, b) => b - a)[0];
+    await Match.updateOne({ _id: kept._id }, { pairKey, lastMessageAt });
+    migrated++;
+  }
+
+  await Match.createIndexes();
+
+  console.log(`${migrated} matches migrated (${merged} duplicates merged)`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,127 @@
+// Moves the messages embedded in the matches documents to the messages collection,
+// and dates the last message of every match for the conversation list.
+// Usage: npm run migrate:messages
+// The script can be run several times: messages already moved keep their _id and are skipped.
+// The messages whose sender can't be found stay in their match. The oldest ones are found by the token
+// of their sender, which is removed when it is turned into a session: run it before the sessions are deployed.
+require("dotenv").config();
+require("../models/connection");
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Match = require("../models/Match");
+const Message = require("../models/Message");
+
+// Before the messages were sent through the socket the sender was stored as the user token
+const senderIds = new Map();
+const resolveSender = async (sender) => {
+  if (!sender) {
+    return null;
+  }
+  if (mongoose.isValidObjectId(sender) && typeof sender !== "string") {
+    return sender;
+  }
+  if (!senderIds.has(sender)) {
+    const user = await User.findOne({ token: sender }).select("_id");
+    senderIds.set(sender, user ? user._id : null);
+  }
+  return senderIds.get(sender);
+};
+
+const migrate = async () => {
+  await mongoose.connection.asPromise();
+
+  // The messages field isn't in the Match schema anymore so we read the raw documents
+  const cursor = Match.collection.find(
+    { "messages.0": { $exists: true } },
+    { projection: { messages: 1 } }
+  );
+
+  let movedMatches = 0;
+  let movedMessages = 0;
+  let skippedMessages = 0;
+
+  for await (const match of cursor) {
+    const messages = [];
+    let skippedInMatch = 0;
+    for (const message of match.messages) {
+      const sender = await resolveSender(message.sender);
+      if (!sender || !message.content || !message._id) {
+        skippedInMatch++;
+        continue;
+      }
+      messages.push({
+        _id: message._id,
+        match: match._id,
+        sender,
+        content: message.content,
+        date: message.date || match._id.getTimestamp(),
+      });
+    }
+
+    if (messages.length > 0) {
+      try {
+        const inserted = await Message.insertMany(messages, {
+          ordered: false,
+        });
+        movedMessages += inserted.length;
+      } catch (error) {
+        // Duplicate keys mean the messages were moved by a previous run
+        const writeErrors = error.writeErrors || [error];
+        if (writeErrors.some((writeError) => writeError.code !== 11000)) {
+          throw error;
+        }
+        movedMessages += error.insertedDocs?.length || 0;
+      }
+    }
+
+    // The skipped messages are kept in the match, only the moved ones are removed
+    if (skippedInMatch > 0) {
+      skippedMessages += skippedInMatch;
+      await Match.collection.updateOne(
+        { _id: match._id },
+        {
+          $pull: {
+            messages: { _id: { $in: messages.map((message) => message._id) } },
+          },
+        }
+      );
+      continue;
+    }
+    await Match.collection.updateOne(
+      { _id: match._id },
+      { $unset: { messages: "" } }
+    );
+    movedMatches++;
+  }
+
+  // The conversation list is sorted by the last message, also set on the matches moved by a previous run
+  const lastMessages = Message.aggregate([
+    { $group: { _id: "$match", lastMessageAt: { $max: "$date" } } },
+  ]).cursor();
+  for await (const { _id, lastMessageAt } of lastMessages) {
+    await Match.updateOne({ _id }, { $max: { lastMessageAt } });
+  }
+
+  // Indexes of an earlier version of the schema
+  for (const indexName of [
+    "user_1_lastMessageAt_-1",
+    "userLiked_1_lastMessageAt_-1",
+  ]) {
+    if (await Match.collection.indexExists(indexName)) {
+      await Match.collection.dropIndex(indexName);
+    }
+  }
+  await Match.createIndexes();
+
+  console.log(
+    `${movedMessages} messages moved from ${movedMatches} matches (${skippedMessages} skipped)`
+  );
+};
+
+migrate()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,59 @@
+// Partner links used to be added on one side without the partner's consent.
+// This script keeps the links present on both sides, and turns the one-sided links
+// into pending invitations the partner can accept or decline.
+// Usage: npm run migrate:partners
+require("dotenv").config();
+require("../models/connection");
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const PartnerInvite = require("../models/PartnerInvite");
+
+const migrate = async () => {
+  await mongoose.connection.asPromise();
+
+  const cursor = User.find({ "myRelationships.0": { $exists: true } })
+    .select("myRelationships")
+    .cursor();
+
+  let kept = 0;
+  let invited = 0;
+
+  for await (const user of cursor) {
+    for (const partnerId of user.myRelationships) {
+      const isMutual = await User.exists({
+        _id: partnerId,
+        myRelationships: user._id,
+      });
+      if (isMutual) {
+        kept++;
+        continue;
+      }
+
+      await User.updateOne(
+        { _id: user._id },
+        { $pull: { myRelationships: partnerId } }
+      );
+
+      const partnerExists = await User.exists({ _id: partnerId });
+      const inviteExists = await PartnerInvite.exists({
+        from: user._id,
+        to: partnerId,
+        status: "pending",
+      });
+      if (partnerExists && !inviteExists) {
+        await PartnerInvite.create({ from: user._id, to: partnerId });
+        invited++;
+      }
+    }
+  }
+
+  console.log(`${kept} mutual links kept, ${invited} invitations created`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,85 @@
+// Pictures used to be stored as the url of the original upload, with its EXIF metadata.
+// This script downloads every old picture, re-encodes it without metadata into the display
+// and thumbnail variants, stores them and deletes the original.
+// A picture that can't be processed is kept as it is, with its url as thumbnail.
+// Usage: npm run migrate:pictures
+require("dotenv").config();
+require("../models/connection");
+
+const mongoose = require("mongoose");
+const fetch = require("node-fetch");
+const User = require("../models/User");
+const {
+  uploadUserPictures,
+  deleteUserPicture,
+} = require("../modules/storage");
+
+// Returns the new picture, or null when the old one couldn't be processed
+const migratePicture = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`download failed with status ${response.status}`);
+    }
+    const data = await response.buffer();
+
+    const { pictures, errors } = await uploadUserPictures([
+      { name: url, data },
+    ]);
+    if (errors.length > 0) {
+      throw new Error(errors[0].message);
+    }
+
+    await deleteUserPicture(url);
+    return pictures[0];
+  } catch (error) {
+    console.log(`Picture ${url} kept as it is: ${error.message}`);
+    return null;
+  }
+};
+
+const migrate = async () => {
+  await mongoose.connection.asPromise();
+
+  // The old pictures don't match the User schema anymore so we read the raw documents
+  const cursor = User.collection.find(
+    { pictures: { $type: "string" } },
+    { projection: { pictures: 1 } }
+  );
+
+  let migrated = 0;
+  let kept = 0;
+
+  for await (const user of cursor) {
+    const pictures = [];
+    for (const picture of user.pictures) {
+      if (typeof picture !== "string") {
+        pictures.push(picture);
+        continue;
+      }
+
+      const newPicture = await migratePicture(picture);
+      if (newPicture) {
+        migrated++;
+      } else {
+        kept++;
+      }
+      pictures.push({
+        _id: new mongoose.Types.ObjectId(),
+        ...(newPicture || { url: picture, thumbnailUrl: picture }),
+        createdAt: new Date(),
+      });
+    }
+
+    await User.collection.updateOne({ _id: user._id }, { $set: { pictures } });
+  }
+
+  console.log(`${migrated} pictures migrated, ${kept} kept as they were`);
+};
+
+migrate()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
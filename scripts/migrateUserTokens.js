@@ -0,0 +1,36 @@
+// The plain User.token isn't written anymore: the new accounts only have hashed sessions.
+// This script replaces the old unique index of the field by a sparse one, so the accounts without
+// token don't collide. The remaining tokens are turned into sessions on their first use, see modules/auth.js.
+// Usage: npm run migrate:tokens
+require("dotenv").config();
+require("../models/connection");
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+
+const migrate = async () => {
+  await mongoose.connection.asPromise();
+
+  const indexes = await User.collection.indexes();
+  const oldIndex = indexes.find(
+    (index) => index.key.token === 1 && !index.sparse
+  );
+  if (oldIndex) {
+    await User.collection.dropIndex(oldIndex.name);
+  }
+  await User.createIndexes();
+
+  const legacyTokens = await User.countDocuments({ token: { $exists: true } });
+  console.log(
+    `Token index ${
+      oldIndex ? "replaced" : "already sparse"
+    }, ${legacyTokens} legacy tokens left`
+  );
+};
+
+migrate()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
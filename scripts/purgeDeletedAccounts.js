@@ -0,0 +1,22 @@
+// Deletes for good the accounts whose deletion grace period is over.
+// Meant to run every day from a scheduler.
+// Usage: npm run purge:accounts
+require("dotenv").config();
+require("../models/connection");
+
+const mongoose = require("mongoose");
+const { purgeScheduledDeletions } = require("../modules/accountDeletion");
+
+const purge = async () => {
+  await mongoose.connection.asPromise();
+
+  const deleted = await purgeScheduledDeletions();
+  console.log(`${deleted} accounts deleted`);
+};
+
+purge()
+  .catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());